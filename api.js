@@ -1,30 +1,364 @@
 'use strict';
 
+const HistoryExport = require('./lib/HistoryExport');
+const TariffEngine = require('./lib/TariffEngine');
+const TariffPresets = require('./lib/TariffPresets');
+
+const DAY_KEY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Local midnight starting a 'YYYY-MM-DD' day, or null when it is not one
+function parseDay(value, timezone) {
+  const match = DAY_KEY.exec(value || '');
+  if (!match) return null;
+  return new Date(TariffEngine.getDayStart(Number(match[1]), Number(match[2]), Number(match[3]), timezone));
+}
+
+// Meter id from a `meter` query or body parameter; undefined (the primary
+// meter) when none is given
+function parseMeter(app, meter) {
+  if (!meter) return undefined;
+  if (!app.getMeters().some(candidate => candidate.id === meter)) {
+    throw new Error(`Unknown meter "${meter}"`);
+  }
+  return meter;
+}
+
+// Arguments for app.recostPeriod from { from, to, tariffAt, meter }
+function parseRecost(app, { from, to, tariffAt, meter }) {
+  if (!DAY_KEY.test(from || '') || !DAY_KEY.test(to || '') || from > to) {
+    throw new Error('from and to must be dates (YYYY-MM-DD), from not after to');
+  }
+  const date = tariffAt ? parseDay(tariffAt, app.getTimezone()) : null;
+  if (tariffAt && !date) {
+    throw new Error('tariffAt must be a date (YYYY-MM-DD)');
+  }
+  return [from, to, { tariffAt: date, meterId: parseMeter(app, meter) }];
+}
+
 module.exports = {
   // GET /settings - Get all settings
   async getSettings({ homey }) {
     return {
       currency: homey.settings.get('currency') || 'EUR',
-      dayRate: homey.settings.get('dayRate') || 0.12,
-      nightRate: homey.settings.get('nightRate') || 0.06,
-      seasons: homey.settings.get('seasons') || []
+      accountingMode: homey.settings.get('accountingMode') || 'meter',
+      mainMeterId: homey.settings.get('mainMeterId') || null,
+      billingStartDay: homey.app.getBillingStartDay(),
+      staleAfter: homey.settings.get('staleAfter') || 0,
+      staleAction: homey.settings.get('staleAction') || 'flag',
+      priceProvider: homey.app.getPriceProvider().id,
+      charges: homey.app.getCharges(),
+      seasons: homey.settings.get('seasons') || [],
+      holidays: homey.settings.get('holidays') || [],
+      settingsVersion: homey.settings.get('settingsVersion')
     };
   },
 
-  // PUT /settings - Save all settings
+  // PUT /settings - Save the settings present in the body. Nothing is
+  // saved when any field is invalid; the response then lists
+  // { field, message } per invalid field, e.g. 'seasons[0].bands[1].rate'.
   async putSettings({ homey, body }) {
-    if (body.currency !== undefined) {
-      homey.settings.set('currency', body.currency);
+    return homey.app.applySettings(body);
+  },
+
+  // GET /presets - Bundled tariff presets
+  async getPresets() {
+    return { presets: TariffPresets.list() };
+  },
+
+  // GET /presets/:id - A preset as a tariff configuration document
+  async getPreset({ homey, params }) {
+    const config = homey.app.getPresetConfig(params.id);
+    if (!config) {
+      throw new Error(`Unknown preset "${params.id}"`);
+    }
+    return config;
+  },
+
+  // GET /config - Export the tariff configuration (rates, seasons, bands,
+  // holidays, charges) as a JSON document
+  async getConfig({ homey }) {
+    return homey.app.exportTariffConfig();
+  },
+
+  // PUT /config - Import a document from GET /config or GET /presets/:id,
+  // replacing the tariff configuration; errors as for PUT /settings
+  async putConfig({ homey, body }) {
+    return homey.app.importTariffConfig(body);
+  },
+
+  // GET /profiles - Named tariffs for further meters
+  async getTariffProfiles({ homey }) {
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      profiles: Object.values(homey.app.getTariffProfiles())
+    };
+  },
+
+  // PUT /profiles/:id - Create or replace a tariff profile, body
+  // { name, seasons, charges }; errors as for PUT /settings
+  async putTariffProfile({ homey, params, body }) {
+    return homey.app.saveTariffProfile(params.id, body || {});
+  },
+
+  // DELETE /profiles/:id - Remove a tariff profile; meters using it fall
+  // back to the app's tariff
+  async deleteTariffProfile({ homey, params }) {
+    homey.app.deleteTariffProfile(params.id);
+    return { success: true };
+  },
+
+  // GET /tariff?meter=id - Band, rate and season in force now and the next
+  // change, on the primary meter's tariff unless `meter` is given
+  async getTariff({ homey, query }) {
+    const meterId = parseMeter(homey.app, query.meter);
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      timezone: homey.app.getTimezone(),
+      ...homey.app.getMeterTariff(meterId).getTariff()
+    };
+  },
+
+  // GET /tariff/versions - Effective-dated tariff versions, oldest first
+  async getTariffVersions({ homey }) {
+    const app = homey.app;
+    const timezone = app.getTimezone();
+    const now = new Date();
+    const versions = app.getTariffVersions();
+    const current = app.getTariffVersionAt(now, versions);
+
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      timezone,
+      versions: versions.map(version => ({
+        ...version,
+        date: version.effectiveFrom > 0 ? TariffEngine.getDayKey(version.effectiveFrom, timezone) : null,
+        current: version === current,
+        scheduled: version.effectiveFrom > now.getTime()
+      }))
+    };
+  },
+
+  // DELETE /tariff/versions/:effectiveFrom - Remove a version (ms timestamp)
+  async deleteTariffVersion({ homey, params }) {
+    homey.app.deleteTariffVersion(Number(params.effectiveFrom));
+    return { success: true };
+  },
+
+  // GET /recost?from=YYYY-MM-DD&to=YYYY-MM-DD&tariffAt=YYYY-MM-DD&meter=id -
+  // Preview the recorded cost of a period re-priced with the tariff in force
+  // at each hour, or with the one in force on `tariffAt`
+  async getRecost({ homey, query }) {
+    const [from, to, options] = parseRecost(homey.app, query);
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      ...homey.app.recostPeriod(from, to, options)
+    };
+  },
+
+  // PUT /recost - Apply the re-pricing previewed by GET /recost, body
+  // { from, to, tariffAt, meter }
+  async putRecost({ homey, body }) {
+    const [from, to, options] = parseRecost(homey.app, body || {});
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      ...homey.app.recostPeriod(from, to, { ...options, apply: true })
+    };
+  },
+
+  // GET /status?meter=id - Live tariff, power and cost, as pushed by the
+  // realtime 'costUpdate' event for the primary meter; for clients catching
+  // up after a reconnect
+  async getStatus({ homey, query }) {
+    return homey.app.getCurrentStatus(new Date(), parseMeter(homey.app, query.meter));
+  },
+
+  // GET /timeline?days=2&limit=<n>&meter=id - Upcoming tariff transitions
+  // (at most 7 days)
+  async getTimeline({ homey, query }) {
+    const days = Math.min(Math.max(parseFloat(query.days) || 2, 0), 7);
+    const limit = parseInt(query.limit, 10) || undefined;
+    const meterId = parseMeter(homey.app, query.meter);
+    const now = new Date();
+
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      transitions: homey.app.getMeterTariff(meterId).getTariffTimeline({
+        from: now,
+        to: new Date(now.getTime() + days * 24 * 3600000),
+        limit
+      })
+    };
+  },
+
+  // GET /timeline/day?date=YYYY-MM-DD&meter=id - A full day's tariff
+  // segments (default today)
+  async getTimelineDay({ homey, query }) {
+    const timezone = homey.app.getTimezone();
+    const date = parseDay(query.date, timezone) || new Date();
+    const meterId = parseMeter(homey.app, query.meter);
+
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      timezone,
+      segments: homey.app.getMeterTariff(meterId).getTariffDay(date)
+    };
+  },
+
+  // GET /prices - Active price provider and its prices for today and tomorrow
+  async getPrices({ homey }) {
+    const app = homey.app;
+    return {
+      provider: app.getPriceProvider().id,
+      providers: Object.values(app.priceProviders).map(provider => ({ id: provider.id, name: provider.name })),
+      currency: homey.settings.get('currency') || 'EUR',
+      prices: app.getPrices()
+    };
+  },
+
+  // PUT /prices - Import prices, body { format: 'csv' | 'json', data } with
+  // `data` the file contents as text
+  async putPrices({ homey, body }) {
+    const { data, format } = body || {};
+    if (typeof data !== 'string' || !data.trim()) {
+      throw new Error('data must be the prices to import as text');
+    }
+    return homey.app.importPrices(data, format === 'csv' ? 'csv' : 'json');
+  },
+
+  // DELETE /prices - Remove all imported prices
+  async deletePrices({ homey }) {
+    homey.app.priceProviders.import.clear();
+    return { success: true };
+  },
+
+  // GET /devices - Power devices with their zone, driver and category,
+  // whether the device rules include them, e.g. to pick the main meter
+  async getDevices({ homey }) {
+    const app = homey.app;
+    const mainMeter = app.getMainMeter();
+    const tracked = new Set(app.getTrackedDevices().map(device => device.id));
+
+    return {
+      mainMeterId: mainMeter ? mainMeter.id : null,
+      rules: app.getDeviceRules(),
+      devices: app.getKnownDevices().map(device => ({
+        ...device,
+        included: tracked.has(device.id),
+        consumer: app.isConsumer(device)
+      })),
+      breakdown: app.getPowerBreakdown()
+    };
+  },
+
+  // PUT /devices - Device rules and/or category labels, body
+  // { rules: { include, exclude }, categories: { [deviceId]: label | null } }
+  // with rules as { type: 'id' | 'zone' | 'class' | 'driver', value };
+  // errors as for PUT /settings
+  async putDevices({ homey, body }) {
+    return homey.app.updateDevices(body || {});
+  },
+
+  // GET /meters - Paired tariff meters with their tariff profile and devices
+  async getMeters({ homey }) {
+    return { meters: homey.app.getMeters() };
+  },
+
+  // PUT /meters/:id - Tariff profile and devices of a further meter, body
+  // { profile, devices } with `profile` null for the app's tariff
+  async putMeter({ homey, params, body }) {
+    return homey.app.setMeterConfig(params.id, body || {});
+  },
+
+  // GET /costs?period=today|week|month|billing&meter=id - All-in cost split
+  // per component, of the primary meter unless `meter` is given
+  async getCosts({ homey, query }) {
+    const meterId = parseMeter(homey.app, query.meter);
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      ...homey.app.getCostBreakdown(query.period || 'today', new Date(), meterId)
+    };
+  },
+
+  // GET /billing?meter=id - Current billing period so far and its forecast
+  async getBilling({ homey, query }) {
+    const meterId = parseMeter(homey.app, query.meter);
+    return {
+      currency: homey.settings.get('currency') || 'EUR',
+      ...homey.app.getBillingForecast(new Date(), meterId)
+    };
+  },
+
+  // GET /history?from=YYYY-MM-DD&to=YYYY-MM-DD&resolution=minute|hour|day&format=json|csv&meter=id
+  // Consumption and cost history per period and tariff band (default: today
+  // per hour as JSON, primary meter). CSV comes back as text in `csv`, with
+  // a `filename`.
+  async getHistory({ homey, query }) {
+    const app = homey.app;
+    const today = app.getDayKey();
+    const from = query.from || today;
+    const to = query.to || from;
+    const resolution = query.resolution || 'hour';
+    const format = query.format || 'json';
+
+    if (!DAY_KEY.test(from) || !DAY_KEY.test(to) || from > to) {
+      throw new Error('from and to must be dates (YYYY-MM-DD), from not after to');
     }
-    if (body.dayRate !== undefined) {
-      homey.settings.set('dayRate', body.dayRate);
+    if (!HistoryExport.RESOLUTIONS.includes(resolution)) {
+      throw new Error(`resolution must be one of ${HistoryExport.RESOLUTIONS.join(', ')}`);
     }
-    if (body.nightRate !== undefined) {
-      homey.settings.set('nightRate', body.nightRate);
+    if (format !== 'json' && format !== 'csv') {
+      throw new Error('format must be json or csv');
     }
-    if (body.seasons !== undefined) {
-      homey.settings.set('seasons', body.seasons);
+
+    const meterId = parseMeter(app, query.meter);
+    const rows = app.getHistory(from, to, resolution, meterId);
+    const result = {
+      currency: homey.settings.get('currency') || 'EUR',
+      timezone: app.getTimezone(),
+      resolution,
+      from,
+      to,
+      filename: HistoryExport.getFilename(from, to, resolution, format)
+    };
+    return format === 'csv' ? { ...result, csv: HistoryExport.toCsv(rows) } : { ...result, rows };
+  },
+
+  // GET /reports?by=category|zone&period=today|week|month|billing - Energy
+  // and cost per device category or zone
+  async getReport({ homey, query }) {
+    const by = query.by || 'category';
+    const period = query.period || 'today';
+    if (by !== 'category' && by !== 'zone') {
+      throw new Error('by must be category or zone');
     }
-    return { success: true };
+
+    return {
+      by,
+      period,
+      currency: homey.settings.get('currency') || 'EUR',
+      groups: homey.app.getGroupCosts(by, period)
+    };
+  },
+
+  // GET /consumers?period=today|week|month - Per-device energy and cost
+  async getConsumers({ homey, query }) {
+    const period = query.period || 'today';
+    return {
+      period,
+      currency: homey.settings.get('currency') || 'EUR',
+      devices: homey.app.getConsumerCosts(period)
+    };
+  },
+
+  // GET /consumers/:id?period=today|week|month&band=<band id> - One device's cost
+  async getDeviceCost({ homey, params, query }) {
+    const period = query.period || 'today';
+    return {
+      id: params.id,
+      period,
+      band: query.band || null,
+      currency: homey.settings.get('currency') || 'EUR',
+      ...homey.app.getDeviceCost(params.id, period, query.band || null)
+    };
   }
-};
\ No newline at end of file
+};
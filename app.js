@@ -2,6 +2,65 @@
 
 const Homey = require('homey');
 const { HomeyAPIApp } = require('homey-api');
+const AlertTracker = require('./lib/AlertTracker');
+const ChartSeries = require('./lib/ChartSeries');
+const DeviceRules = require('./lib/DeviceRules');
+const EnergyLedger = require('./lib/EnergyLedger');
+const HistoryExport = require('./lib/HistoryExport');
+const SettingsSchema = require('./lib/SettingsSchema');
+const TariffEngine = require('./lib/TariffEngine');
+const TariffPresets = require('./lib/TariffPresets');
+const TariffProfile = require('./lib/TariffProfile');
+const WindowPlanner = require('./lib/WindowPlanner');
+const StaticScheduleProvider = require('./lib/providers/StaticScheduleProvider');
+const ImportedPriceProvider = require('./lib/providers/ImportedPriceProvider');
+
+// Device classes that produce or store energy rather than consume it
+const PRODUCER_CLASSES = ['solarpanel', 'battery'];
+
+// Autocomplete id for "no band filter"
+const ALL_BANDS = '*';
+
+// Identifies exported tariff configuration documents
+const TARIFF_CONFIG_FORMAT = 'electricity-tariff-config';
+
+// Settings that can move the tariff in force or the next change
+const TARIFF_SETTINGS = ['seasons', 'holidays', 'priceProvider', 'importedPrices', 'tariffVersions', 'tariffProfiles', 'meters'];
+
+// Longest the tariff timer sleeps, so it also catches a new timezone on Homey
+const MAX_TARIFF_TIMER = 6 * 3600 * 1000;
+
+// Tariff versions that ended longer ago than this are dropped; daily
+// buckets are kept about as long, so their rates stay known
+const TARIFF_VERSION_RETENTION = 400 * 24 * 3600 * 1000;
+
+// First and longest wait before retrying to connect to the Homey Web API
+const RECONNECT_BASE_DELAY = 10 * 1000;
+const RECONNECT_MAX_DELAY = 10 * 60 * 1000;
+
+// Data id of the first tariff meter, which bills the home with the app's
+// tariff and main meter. Further meters get an id with a suffix.
+const PRIMARY_METER_ID = 'energy-tariff-meter';
+
+// Settings key prefix of the ledgers of the further meters
+const METER_LEDGER_PREFIX = 'energyLedger:';
+
+// Tariff profile ids, as made from their names
+const PROFILE_ID = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+function emptyUsage() {
+  return { kwh: 0, cost: 0, bands: {} };
+}
+
+function addUsage(usage, band, kwh, cost) {
+  usage.kwh += kwh;
+  usage.cost += cost;
+
+  const bandUsage = usage.bands[band] || (usage.bands[band] = { kwh: 0, cost: 0 });
+  bandUsage.kwh += kwh;
+  bandUsage.cost += cost;
+  return usage;
+}
 
 class ElectricityTariffApp extends Homey.App {
 
@@ -11,19 +70,36 @@ class ElectricityTariffApp extends Homey.App {
     // Initialize settings with defaults if not set
     await this.initializeSettings();
 
+    // Restore the persisted energy ledger (cost history survives restarts)
+    this.ledger = new EnergyLedger({
+      homey: this.homey,
+      log: (...args) => this.log(...args),
+      getTimezone: () => this.getTimezone()
+    });
+    this.ledger.load();
+    this.meterLedgers = {};
+
+    // Price sources; the 'priceProvider' setting picks the active one
+    this.priceProviders = {};
+    const staticProvider = this.registerPriceProvider(new StaticScheduleProvider({ app: this }));
+    this.registerPriceProvider(new ImportedPriceProvider({
+      homey: this.homey,
+      fallback: staticProvider,
+      getTimezone: () => this.getTimezone()
+    }));
+
+    // Cheapest-window plans for shiftable loads
+    this.planner = new WindowPlanner({ homey: this.homey, app: this });
+
+    // Edge-triggered state of the cost and power alerts
+    this.alerts = new AlertTracker();
+
     // Register flow cards
     this.registerFlowCards();
 
     // Start tariff monitoring
     this.startTariffMonitor();
 
-    // Store the current tariff to detect changes
-    this.currentTariff = this.getCurrentTariff();
-    this.log(`Current tariff: ${this.currentTariff}`);
-
-    // History buffer for widget charts (last 24h at 1-minute intervals)
-    this.history = [];
-
     // Initialize HomeyAPI for accessing other devices (non-blocking)
     this.initHomeyAPI().catch(err => {
       this.error('HomeyAPI init failed in onInit:', err.message);
@@ -33,36 +109,23 @@ class ElectricityTariffApp extends Homey.App {
   async initializeSettings() {
     const settings = this.homey.settings;
 
-    // Default rates (EUR/kWh) - Energo-Pro Bulgaria typical rates
-    if (settings.get('dayRate') === null) {
-      settings.set('dayRate', 0.12);
+    // Upgrade settings saved by older releases before filling in defaults
+    SettingsSchema.migrate(this);
+
+    // First start: the default preset's seasons and public holidays
+    const preset = TariffPresets.get(TariffPresets.DEFAULT_PRESET);
+    if (settings.get('seasons') === null) {
+      settings.set('seasons', preset.seasons);
     }
-    if (settings.get('nightRate') === null) {
-      settings.set('nightRate', 0.06);
+    if (settings.get('holidays') === null) {
+      settings.set('holidays', preset.holidays);
     }
 
-    // Default seasons configuration
-    if (settings.get('seasons') === null) {
-      settings.set('seasons', [
-        {
-          name: 'Winter',
-          startMonth: 11, // November
-          startDay: 1,
-          endMonth: 3, // March
-          endDay: 31,
-          dayStart: '06:00',
-          dayEnd: '22:00'
-        },
-        {
-          name: 'Summer',
-          startMonth: 4, // April
-          startDay: 1,
-          endMonth: 10, // October
-          endDay: 31,
-          dayStart: '07:00',
-          dayEnd: '23:00'
-        }
-      ]);
+    // How consumption is measured: 'meter' bills meter_power (kWh) deltas and
+    // integrates measure_power only for devices without a meter, 'power'
+    // integrates measure_power for every device
+    if (settings.get('accountingMode') === null) {
+      settings.set('accountingMode', 'meter');
     }
 
     // Currency (Bulgaria switched from BGN to EUR)
@@ -70,58 +133,308 @@ class ElectricityTariffApp extends Homey.App {
       settings.set('currency', 'EUR');
     }
 
+    // Devices silent for this many minutes are stale (0 = never) and are
+    // then only flagged, or counted as 0 W with 'zero'
+    if (settings.get('staleAfter') === null) {
+      settings.set('staleAfter', 0);
+    }
+    if (settings.get('staleAction') === null) {
+      settings.set('staleAction', 'flag');
+    }
+
+    // Day of the month the utility's billing period starts (1 = calendar month)
+    if (settings.get('billingStartDay') === null) {
+      settings.set('billingStartDay', 1);
+    }
+
+    // Where rates come from: 'static' (band schedules) or 'import' (uploaded prices)
+    if (settings.get('priceProvider') === null) {
+      settings.set('priceProvider', 'static');
+    }
+
+    // Charges on top of the band rates. All zero by default, so existing
+    // rates keep being billed as-is until the user configures them.
+    if (settings.get('charges') === null) {
+      settings.set('charges', this.normalizeCharges({}));
+    }
+
     this.log('Settings initialized');
   }
 
+  /**
+   * Validate and save the settings present in `body` (see PUT /settings).
+   * Nothing is saved when a field is invalid. Returns { success, errors }
+   * with errors as { field, message }.
+   */
+  applySettings(body) {
+    const settings = this.homey.settings;
+    const { values, errors } = SettingsSchema.validate(body, { priceProviders: Object.keys(this.priceProviders) });
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    for (const key of ['currency', 'accountingMode', 'mainMeterId', 'billingStartDay', 'staleAfter', 'staleAction', 'priceProvider', 'dayRate', 'nightRate']) {
+      if (values[key] !== undefined) {
+        settings.set(key, values[key]);
+      }
+    }
+    // Rates and charges are versioned: they apply from `effectiveFrom`
+    // (local midnight of that date) or from the start of today, so all
+    // changes made on one day make up a single version
+    const legacyRates = { day: values.dayRate, night: values.nightRate };
+    if (values.charges !== undefined || values.seasons !== undefined || values.dayRate !== undefined || values.nightRate !== undefined) {
+      const local = this.getLocalTime();
+      let [year, month, day] = [local.year, local.month, local.day];
+      if (values.effectiveFrom) {
+        [year, month, day] = values.effectiveFrom.split('-').map(Number);
+      }
+      const effectiveFrom = TariffEngine.getDayStart(year, month, day, this.getTimezone());
+
+      // Accepts both band-based seasons and the legacy dayStart/dayEnd format
+      let seasons = values.seasons && this.normalizeSeasons(values.seasons);
+      let updateLater = null;
+      if (!seasons && (values.dayRate !== undefined || values.nightRate !== undefined)) {
+        // Legacy clients change only the day and night rates, which then
+        // also apply to the versions already scheduled after this one
+        const withLegacyRates = versionSeasons => versionSeasons.map(season => ({
+          ...season,
+          bands: season.bands.map(band => (legacyRates[band.id] !== undefined ? { ...band, rate: legacyRates[band.id] } : band))
+        }));
+        seasons = withLegacyRates(this.getTariffVersionAt(new Date(effectiveFrom)).seasons);
+        updateLater = version => ({ ...version, seasons: withLegacyRates(version.seasons) });
+      }
+
+      this.saveTariffVersion({
+        charges: values.charges && this.normalizeCharges(values.charges),
+        seasons
+      }, effectiveFrom, updateLater);
+    }
+    if (values.holidays !== undefined) {
+      settings.set('holidays', this.normalizeHolidays(values.holidays));
+    }
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * The tariff definition (currency, charges, seasons with their bands and
+   * holidays) as a document that can be shared, backed up and imported
+   * again with importTariffConfig.
+   */
+  exportTariffConfig() {
+    return {
+      format: TARIFF_CONFIG_FORMAT,
+      version: SettingsSchema.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      currency: this.homey.settings.get('currency') || 'EUR',
+      charges: this.getCharges(),
+      seasons: this.homey.settings.get('seasons') || [],
+      holidays: this.homey.settings.get('holidays') || []
+    };
+  }
+
+  /**
+   * Replace the tariff definition with an exported document or preset.
+   * Documents from older releases are accepted, from newer ones not.
+   */
+  importTariffConfig(document) {
+    if (!document || typeof document !== 'object' || document.format !== TARIFF_CONFIG_FORMAT) {
+      return { success: false, errors: [{ field: 'format', message: `Not a tariff configuration ("format" must be "${TARIFF_CONFIG_FORMAT}")` }] };
+    }
+    if (document.version > SettingsSchema.SCHEMA_VERSION) {
+      return { success: false, errors: [{ field: 'version', message: 'Exported by a newer version of the app, update the app first' }] };
+    }
+    if (document.seasons === undefined) {
+      return { success: false, errors: [{ field: 'seasons', message: 'Required' }] };
+    }
+
+    const body = { seasons: document.seasons };
+    for (const key of ['currency', 'charges', 'holidays']) {
+      if (document[key] !== undefined && document[key] !== null) body[key] = document[key];
+    }
+    const result = this.applySettings(body);
+    if (result.success) {
+      this.log(`Imported tariff configuration with ${document.seasons.length} seasons`);
+    }
+    return result;
+  }
+
+  /**
+   * A bundled preset as a tariff configuration document, or null.
+   */
+  getPresetConfig(id) {
+    const preset = TariffPresets.get(id);
+    if (!preset) return null;
+
+    const { id: presetId, ...config } = preset;
+    return {
+      format: TARIFF_CONFIG_FORMAT,
+      version: SettingsSchema.SCHEMA_VERSION,
+      preset: presetId,
+      ...config
+    };
+  }
+
+  /**
+   * Register an edge-triggered alert card (see lib/AlertTracker). It is
+   * triggered on every update with the state { timestamp, ... }; `value`
+   * reads the watched value from the state and `subject` what the alert is
+   * tracked for, e.g. a device. Cards take `threshold`, an optional `reset`
+   * level and, for rising alerts, an optional `cooldown` in minutes. Each
+   * activation is also published as the realtime 'alert' event.
+   *
+   * Every meter triggers the card with its own `state.meter`; a flow only
+   * runs for the meter picked in its optional `meter` argument.
+   */
+  registerAlertTrigger(id, { value, subject = () => '', cleared = false }) {
+    const card = this.homey.flow.getTriggerCard(id);
+    card.registerRunListener(async (args, state) => {
+      if (this.getFlowMeterId(args) !== state.meter) return false;
+
+      const options = {
+        threshold: args.threshold,
+        reset: typeof args.reset === 'number' ? args.reset : args.threshold,
+        cooldown: (args.cooldown || 0) * 60000
+      };
+      const key = AlertTracker.key(id, { ...options, meter: state.meter }, subject(state));
+      const onFire = () => this.publish('alert', {
+        alert: id,
+        meter: state.meter,
+        cleared,
+        value: value(state),
+        threshold: options.threshold,
+        subject: subject(state) || null,
+        name: state.name || null,
+        timestamp: state.timestamp
+      });
+      return cleared
+        ? this.alerts.cleared(key, value(state), options, state.timestamp, onFire)
+        : this.alerts.exceeded(key, value(state), options, state.timestamp, onFire);
+    });
+    card.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+    return card;
+  }
+
   registerFlowCards() {
-    // Trigger: When tariff changes
+    // Trigger: When tariff changes. Changes of the app's tariff come without
+    // a meter and apply to every meter billing with it
     this.tariffChangedTrigger = this.homey.flow.getTriggerCard('tariff-changed');
+    this.tariffChangedTrigger.registerRunListener(async (args, state) => {
+      const meterId = this.getFlowMeterId(args);
+      return state.meter ? state.meter === meterId : this.getMeterTariff(meterId) === this;
+    });
+    this.tariffChangedTrigger.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+
+    // Triggers: Hourly cost exceeds threshold / is back below it
+    this.costThresholdTrigger = this.registerAlertTrigger('cost-threshold-exceeded', {
+      value: state => state.cost_per_hour
+    });
+    this.costThresholdClearedTrigger = this.registerAlertTrigger('cost-threshold-cleared', {
+      value: state => state.cost_per_hour,
+      cleared: true
+    });
+
+    // Triggers: Home starts / stops exporting to the grid
+    this.exportStartedTrigger = this.homey.flow.getTriggerCard('export-started');
+    this.exportStoppedTrigger = this.homey.flow.getTriggerCard('export-stopped');
+    for (const card of [this.exportStartedTrigger, this.exportStoppedTrigger]) {
+      card.registerRunListener(async (args, state) => this.getFlowMeterId(args) === state.meter);
+      card.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+    }
+
+    // Triggers: Daily cost exceeds threshold (once per day) / is back below
+    // it, which happens when the next day starts
+    this.dailyCostTrigger = this.registerAlertTrigger('daily-cost-exceeded', {
+      value: state => state.cost_today,
+      subject: state => state.day
+    });
+    this.dailyCostClearedTrigger = this.registerAlertTrigger('daily-cost-cleared', {
+      value: state => state.cost_today,
+      cleared: true
+    });
+
+    // Trigger: Billing period forecast crosses a budget. The forecast swings
+    // as the period goes on, so each budget fires at most once per period:
+    // the period is the alert's subject and the alert never re-arms within it
+    this.budgetForecastTrigger = this.homey.flow.getTriggerCard('budget-forecast-exceeded');
+    this.budgetForecastTrigger.registerRunListener(async (args, state) => {
+      if (this.getFlowMeterId(args) !== state.meter) return false;
 
-    // Trigger: Hourly cost exceeds threshold
-    this.costThresholdTrigger = this.homey.flow.getTriggerCard('cost-threshold-exceeded');
-    this.costThresholdTrigger.registerRunListener(async (args, state) => {
-      return state.cost_per_hour >= args.threshold;
+      const key = AlertTracker.key('budget-forecast-exceeded', { budget: args.budget, meter: state.meter }, state.period);
+      return this.alerts.exceeded(key, state.forecast, { threshold: args.budget, reset: -Infinity }, state.timestamp);
     });
+    this.budgetForecastTrigger.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
 
-    // Trigger: Daily cost exceeds threshold
-    this.dailyCostTrigger = this.homey.flow.getTriggerCard('daily-cost-exceeded');
-    this.dailyCostTrigger.registerRunListener(async (args, state) => {
-      return state.cost_today >= args.threshold;
+    // Trigger: A planned cheapest window begins
+    this.plannedWindowStartedTrigger = this.homey.flow.getTriggerCard('planned-window-started');
+    this.plannedWindowStartedTrigger.registerRunListener(async (args, state) => {
+      return args.job.id === state.job;
     });
+    this.plannedWindowStartedTrigger.registerArgumentAutocompleteListener('job', async (query) => this.getPlannedJobs(query));
 
-    // Trigger: High power device
-    this.highPowerDeviceTrigger = this.homey.flow.getTriggerCard('high-power-device');
-    this.highPowerDeviceTrigger.registerRunListener(async (args, state) => {
-      return state.power >= args.threshold;
+    // Triggers: A device exceeds a power threshold / is back below it
+    this.highPowerDeviceTrigger = this.registerAlertTrigger('high-power-device', {
+      value: state => state.power,
+      subject: state => state.device_id
+    });
+    this.highPowerDeviceClearedTrigger = this.registerAlertTrigger('high-power-device-cleared', {
+      value: state => state.power,
+      subject: state => state.device_id,
+      cleared: true
     });
 
     // Condition: Current tariff is...
     const currentTariffCondition = this.homey.flow.getConditionCard('current-tariff-is');
     currentTariffCondition.registerRunListener(async (args) => {
-      const currentTariff = this.getCurrentTariff();
-      return currentTariff === args.tariff;
+      // Flows created before bands were configurable store the plain 'day'/'night' id
+      const wanted = typeof args.tariff === 'string' ? args.tariff : args.tariff.id;
+      const band = this.getMeterTariff(this.getFlowMeterId(args)).getCurrentBand();
+      return (band ? band.id : 'day') === wanted;
+    });
+    currentTariffCondition.registerArgumentAutocompleteListener('tariff', async (query, args) => {
+      return this.getMeterBands(this.getFlowMeterId(args || {}))
+        .filter(band => band.name.toLowerCase().includes(query.toLowerCase()))
+        .map(band => ({ id: band.id, name: band.name }));
     });
+    currentTariffCondition.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+
+    // Condition: Now is inside the cheapest window planned for a job
+    const inCheapestWindowCondition = this.homey.flow.getConditionCard('in-cheapest-window');
+    inCheapestWindowCondition.registerRunListener(async (args) => {
+      const plan = this.planner.getPlan(args.job.id);
+      return Boolean(plan) && (plan.meter || PRIMARY_METER_ID) === this.getFlowMeterId(args)
+        && this.planner.isInWindow(args.job.id);
+    });
+    inCheapestWindowCondition.registerArgumentAutocompleteListener('job', async (query, args) => {
+      return this.getPlannedJobs(query, this.getFlowMeterId(args || {}));
+    });
+    inCheapestWindowCondition.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
 
     // Action: Get current rate (returns token)
     const getCurrentRateAction = this.homey.flow.getActionCard('get-current-rate');
     getCurrentRateAction.registerRunListener(async (args) => {
-      const rate = this.getCurrentRate();
-      const tariff = this.getCurrentTariff();
+      const tariff = this.getMeterTariff(this.getFlowMeterId(args));
+      const band = tariff.getCurrentBand();
+      const rate = tariff.getCurrentRate();
       const currency = this.homey.settings.get('currency') || 'EUR';
 
       return {
         rate: rate,
-        tariff: tariff,
+        tariff: band ? band.id : 'day',
+        tariff_name: band ? band.name : 'Day',
         currency: currency,
         formatted: `${rate.toFixed(4)} ${currency}/kWh`
       };
     });
+    getCurrentRateAction.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
 
     // Action: Get top energy consumers
     const getTopConsumersAction = this.homey.flow.getActionCard('get-top-consumers');
     getTopConsumersAction.registerRunListener(async (args) => {
-      const topConsumers = await this.getTopConsumers();
-      const rate = this.getCurrentRate();
+      const meterId = this.getFlowMeterId(args);
+      const tariff = this.getMeterTariff(meterId);
+      const topConsumers = await this.getTopConsumers(meterId);
+      const { total, unmeasured } = this.getPowerBreakdown(meterId);
+      const rate = tariff.getCurrentRate();
 
       const formatConsumer = (consumer) => {
         if (!consumer) return 'None';
@@ -132,19 +445,137 @@ class ElectricityTariffApp extends Homey.App {
         top_consumer_1: formatConsumer(topConsumers[0]),
         top_consumer_2: formatConsumer(topConsumers[1]),
         top_consumer_3: formatConsumer(topConsumers[2]),
-        total_power: topConsumers.reduce((sum, c) => sum + (c?.power || 0), 0),
-        cost_per_hour: (topConsumers.reduce((sum, c) => sum + (c?.power || 0), 0) / 1000) * rate
+        total_power: total,
+        unmeasured_power: unmeasured,
+        cost_per_hour: (total / 1000) * this.getUnitPrice(rate, tariff.getCharges())
+      };
+    });
+    getTopConsumersAction.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+
+    // Action: Get top consumers by cost for a period
+    const getTopConsumersCostAction = this.homey.flow.getActionCard('get-top-consumers-cost');
+    getTopConsumersCostAction.registerRunListener(async (args) => {
+      const consumers = this.getConsumerCosts(args.period, new Date(), this.getFlowMeterId(args));
+      const currency = this.homey.settings.get('currency') || 'EUR';
+
+      const formatConsumer = (consumer) => {
+        if (!consumer) return 'None';
+        return `${consumer.name} (${consumer.kwh.toFixed(2)} kWh, ${consumer.cost.toFixed(2)} ${currency})`;
+      };
+
+      return {
+        top_consumer_1: formatConsumer(consumers[0]),
+        top_consumer_2: formatConsumer(consumers[1]),
+        top_consumer_3: formatConsumer(consumers[2]),
+        total_kwh: consumers.reduce((sum, c) => sum + c.kwh, 0),
+        total_cost: consumers.reduce((sum, c) => sum + c.cost, 0)
+      };
+    });
+    getTopConsumersCostAction.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+
+    // Action: Get the cost of one device, optionally for a single band.
+    // Without a meter the device's cost on every meter adds up, so moving
+    // it to another meter keeps its history
+    const getDeviceCostAction = this.homey.flow.getActionCard('get-device-cost');
+    getDeviceCostAction.registerRunListener(async (args) => {
+      const band = args.band && args.band.id !== ALL_BANDS ? args.band.id : null;
+      const meterId = args.meter && args.meter.id ? args.meter.id : null;
+      const { kwh, cost } = this.getDeviceCost(args.device.id, args.period, band, meterId);
+      const currency = this.homey.settings.get('currency') || 'EUR';
+
+      return {
+        device_name: args.device.name,
+        kwh,
+        cost,
+        formatted: `${kwh.toFixed(2)} kWh, ${cost.toFixed(2)} ${currency}`
+      };
+    });
+    getDeviceCostAction.registerArgumentAutocompleteListener('device', async (query) => {
+      // Devices that are currently tracked plus any that only appear in a ledger
+      const devices = new Map(this.getLedgers()
+        .flatMap(ledger => Object.entries(ledger.devices))
+        .map(([id, device]) => [id, device.name]));
+      for (const device of this.getMeterIds().flatMap(meterId => this.getPowerDevices(meterId))) {
+        devices.set(device.id, device.name);
+      }
+
+      return [...devices.entries()]
+        .filter(([, name]) => name.toLowerCase().includes(query.toLowerCase()))
+        .map(([id, name]) => ({ id, name }));
+    });
+    getDeviceCostAction.registerArgumentAutocompleteListener('band', async (query, args) => {
+      return [{ id: ALL_BANDS, name: 'All tariffs' }, ...this.getMeterBands(this.getFlowMeterId(args || {}))]
+        .filter(band => band.name.toLowerCase().includes(query.toLowerCase()))
+        .map(band => ({ id: band.id, name: band.name }));
+    });
+    getDeviceCostAction.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+
+    // Action: Get the next tariff transitions
+    const getTariffTimelineAction = this.homey.flow.getActionCard('get-tariff-timeline');
+    getTariffTimelineAction.registerRunListener(async (args) => {
+      const now = new Date();
+      const transitions = this.getMeterTariff(this.getFlowMeterId(args)).getTariffTimeline({
+        from: now,
+        to: new Date(now.getTime() + 7 * 24 * 3600000),
+        limit: args.count
+      });
+      const next = transitions[0];
+      const currency = this.homey.settings.get('currency') || 'EUR';
+
+      return {
+        next_time: next ? this.formatTime(next.timestamp) : '',
+        next_tariff: next ? next.bandName : '',
+        next_rate: next ? next.rate : 0,
+        minutes_until_next: next ? Math.round((next.timestamp - now.getTime()) / 60000) : 0,
+        transitions: transitions
+          .map(transition => `${this.formatTime(transition.timestamp)} ${transition.bandName} (${transition.rate.toFixed(4)} ${currency}/kWh)`)
+          .join(', '),
+        transitions_json: JSON.stringify(transitions)
+      };
+    });
+    getTariffTimelineAction.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
+
+    // Action: Plan the cheapest window for a job before a deadline
+    const planCheapestWindowAction = this.homey.flow.getActionCard('plan-cheapest-window');
+    planCheapestWindowAction.registerRunListener(async (args) => {
+      const job = args.job.trim();
+      if (!job) throw new Error('A job name is required');
+
+      const meterId = this.getFlowMeterId(args);
+      const plan = this.planner.plan(job, {
+        hours: args.hours,
+        deadline: args.deadline,
+        powerKw: args.power,
+        meter: meterId,
+        tariff: this.getMeterTariff(meterId)
+      });
+      this.log(`Planned ${job}: ${this.formatTime(plan.start)}-${this.formatTime(plan.end)}, ${plan.cost.toFixed(2)}`);
+
+      return {
+        start_time: this.formatTime(plan.start),
+        end_time: this.formatTime(plan.end),
+        expected_cost: plan.cost,
+        average_rate: plan.averageRate
       };
     });
+    planCheapestWindowAction.registerArgumentAutocompleteListener('meter', async (query) => this.getMeterChoices(query));
 
     this.log('Flow cards registered');
   }
 
+  /**
+   * Connect to the Homey Web API and follow every device with measure_power
+   * or meter_power: the full list once, then device create, update and
+   * delete events. Failed attempts are retried with exponential backoff.
+   */
   async initHomeyAPI() {
     try {
       this.log('Initializing HomeyAPIApp...');
-      this.api = new HomeyAPIApp({ homey: this.homey });
-      this.powerDevices = {};
+      this.api = this.api || new HomeyAPIApp({ homey: this.homey });
+      this.powerDevices = this.powerDevices || {};
+      this.meterReadings = this.meterReadings || {};
+      this.pendingMeterUsage = this.pendingMeterUsage || {};
+      this.capabilityInstances = this.capabilityInstances || {};
 
       this.log('Fetching devices...');
       const devices = await this.api.devices.getDevices();
@@ -152,42 +583,17 @@ class ElectricityTariffApp extends Homey.App {
       this.log(`HomeyAPI connected. Total devices found: ${deviceIds.length}`);
 
       if (deviceIds.length === 0) {
-        this.log('WARNING: No devices returned. Will retry in 30 seconds...');
-        this.homey.setTimeout(() => {
-          this.initHomeyAPI().catch(err => this.error('Retry failed:', err.message));
-        }, 30000);
+        this.log('WARNING: No devices returned.');
+        this.scheduleReconnect();
         return;
       }
 
-      // Log all devices and subscribe to power changes
-      for (const [deviceId, device] of Object.entries(devices)) {
-        const caps = device.capabilities || [];
-        const hasMeasurePower = caps.includes('measure_power');
-        const hasMeterPower = caps.includes('meter_power');
-
-        if (hasMeasurePower || hasMeterPower) {
-          this.log(`[POWER] ${device.name} (${deviceId}) - capabilities: ${caps.join(', ')}`);
-        } else {
-          this.log(`[SKIP]  ${device.name} (${deviceId}) - capabilities: ${caps.join(', ')}`);
-        }
-
-        if (hasMeasurePower) {
-          const power = device.capabilitiesObj?.measure_power?.value || 0;
-          this.powerDevices[deviceId] = {
-            name: device.name,
-            power: power
-          };
-
-          // Subscribe to real-time power changes via WebSocket
-          device.makeCapabilityInstance('measure_power', (value) => {
-            this.powerDevices[deviceId] = {
-              name: device.name,
-              power: value || 0
-            };
-          });
-        }
-      }
+      // Zone names for the per-zone report; devices work without them
+      this.zoneNames = await this.fetchZoneNames();
+      this.syncDevices(devices);
+      await this.subscribeDeviceEvents();
 
+      this.reconnectAttempts = 0;
       this.apiReady = true;
       this.log(`Tracking ${Object.keys(this.powerDevices).length} power devices out of ${deviceIds.length} total`);
 
@@ -197,149 +603,1812 @@ class ElectricityTariffApp extends Homey.App {
 
     } catch (error) {
       this.error('Failed to initialize HomeyAPI:', error.message);
-      this.log('Will retry in 30 seconds...');
-      this.homey.setTimeout(() => {
-        this.initHomeyAPI().catch(err => this.error('Retry failed:', err.message));
-      }, 30000);
+      this.scheduleReconnect();
     }
   }
 
-  getPowerDevices() {
-    if (!this.powerDevices) return [];
-    return Object.entries(this.powerDevices).map(([id, data]) => ({
-      id,
-      name: data.name,
-      power: data.power
-    }));
+  /**
+   * Retry initHomeyAPI, waiting twice as long after every failed attempt.
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const attempts = this.reconnectAttempts || 0;
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempts);
+    this.reconnectAttempts = attempts + 1;
+    this.log(`Will retry in ${Math.round(delay / 1000)} seconds...`);
+
+    this.reconnectTimer = this.homey.setTimeout(() => {
+      this.reconnectTimer = null;
+      this.initHomeyAPI().catch(err => this.error('Retry failed:', err.message));
+    }, delay);
   }
 
-  async getTopConsumers() {
-    // Return power devices sorted by consumption
-    const devices = this.getPowerDevices();
-    return devices.sort((a, b) => b.power - a.power).slice(0, 5);
+  async fetchZoneNames() {
+    try {
+      const zones = await this.api.zones.getZones();
+      return Object.fromEntries(Object.entries(zones).map(([id, zone]) => [id, zone.name]));
+    } catch (error) {
+      this.error('Failed to fetch zones:', error.message);
+      return {};
+    }
   }
 
-  startTariffMonitor() {
-    // Check every minute for tariff changes
-    this.tariffCheckInterval = this.homey.setInterval(() => {
-      const newTariff = this.getCurrentTariff();
+  /**
+   * Keep the power map in sync with device events. Events missed while the
+   * connection was down are caught up by a full resync once it is back.
+   */
+  async subscribeDeviceEvents() {
+    if (this.deviceEventsSubscribed) return;
 
-      if (this.currentTariff !== newTariff) {
-        this.log(`Tariff changed from ${this.currentTariff} to ${newTariff}`);
+    const manager = this.api.devices;
+    await manager.connect();
+    manager.on('device.create', device => this.onDeviceChanged(device));
+    manager.on('device.update', device => this.onDeviceChanged(device));
+    manager.on('device.delete', device => this.untrackDevice(device.id, 'deleted'));
+    manager.on('disconnect', () => this.log('HomeyAPI disconnected'));
+    manager.on('reconnect', () => {
+      this.log('HomeyAPI reconnected, resyncing devices');
+      this.resyncDevices();
+    });
+    this.deviceEventsSubscribed = true;
+  }
 
-        // Trigger the flow card
-        this.tariffChangedTrigger.trigger({
-          previous_tariff: this.currentTariff,
-          new_tariff: newTariff,
-          rate: this.getCurrentRate()
-        }).catch(err => this.error('Failed to trigger tariff change:', err));
+  async resyncDevices() {
+    try {
+      this.zoneNames = await this.fetchZoneNames();
+      this.syncDevices(await this.api.devices.getDevices());
+    } catch (error) {
+      this.error('Failed to resync devices:', error.message);
+      this.scheduleReconnect();
+    }
+  }
 
-        this.currentTariff = newTariff;
+  /**
+   * Bring the power map in line with a full device list: new power devices
+   * are tracked, known ones updated and the ones that are gone dropped.
+   */
+  syncDevices(devices) {
+    for (const [deviceId, device] of Object.entries(devices)) {
+      const caps = device.capabilities || [];
+      if (this.isOwnDevice(device)) {
+        this.log(`[SELF]  ${device.name} (${deviceId}) - not tracked`);
+      } else if (!caps.includes('measure_power') && !caps.includes('meter_power')) {
+        this.log(`[SKIP]  ${device.name} (${deviceId}) - capabilities: ${caps.join(', ')}`);
       }
-    }, 60000); // Check every minute
+      this.onDeviceChanged(device);
+    }
 
-    this.log('Tariff monitor started');
+    for (const deviceId of Object.keys(this.powerDevices)) {
+      if (!devices[deviceId]) this.untrackDevice(deviceId, 'removed');
+    }
   }
 
-  getCurrentSeason() {
-    const now = new Date();
-    const month = now.getMonth() + 1; // JavaScript months are 0-indexed
-    const day = now.getDate();
-    const seasons = this.homey.settings.get('seasons') || [];
+  /**
+   * A device was added or changed: start, update or stop tracking it as its
+   * power capabilities require. Renames and zone moves are taken over.
+   */
+  onDeviceChanged(device) {
+    const caps = device.capabilities || [];
+    const hasMeasurePower = caps.includes('measure_power');
+    const hasMeterPower = caps.includes('meter_power');
+    const tracked = this.powerDevices[device.id];
 
-    for (const season of seasons) {
-      if (this.isDateInSeason(month, day, season)) {
-        return season;
+    if (this.isOwnDevice(device) || (!hasMeasurePower && !hasMeterPower)) {
+      if (tracked) this.untrackDevice(device.id, 'no longer reports power');
+      return;
+    }
+
+    // A zone created after the names were fetched; look it up once
+    if (device.zone && this.zoneNames && !(device.zone in this.zoneNames)) {
+      this.zoneNames[device.zone] = null;
+      this.refreshZoneNames().catch(err => this.error('Failed to refresh zones:', err.message));
+    }
+
+    const info = {
+      name: device.name,
+      hasMeter: hasMeterPower,
+      class: device.virtualClass || device.class,
+      cumulative: Boolean(device.energyObj?.cumulative),
+      zone: device.zone || null,
+      zoneName: this.zoneNames?.[device.zone] || null,
+      driverId: device.driverId || null
+    };
+
+    if (tracked && tracked.hasPower === hasMeasurePower && tracked.hasMeter === hasMeterPower) {
+      if (tracked.name !== info.name) {
+        this.log(`[RENAME] ${tracked.name} is now ${info.name} (${device.id})`);
       }
+      this.powerDevices[device.id] = { ...tracked, ...info };
+      return;
     }
 
-    // Fallback to first season if none match
-    return seasons[0] || null;
+    if (tracked) this.untrackDevice(device.id, 'capabilities changed');
+    this.trackDevice(device, info);
   }
 
-  isDateInSeason(month, day, season) {
-    const { startMonth, startDay, endMonth, endDay } = season;
+  /**
+   * Add a device to the power map and subscribe to its power and energy
+   * readings.
+   */
+  trackDevice(device, info) {
+    const deviceId = device.id;
+    const caps = device.capabilities || [];
+    const power = device.capabilitiesObj?.measure_power;
+    const meter = device.capabilitiesObj?.meter_power;
+    this.log(`[POWER] ${info.name} (${deviceId}) - capabilities: ${caps.join(', ')}`);
 
-    // Handle seasons that cross year boundary (e.g., Winter: Nov-Mar)
-    if (startMonth > endMonth) {
-      // Season crosses year boundary
-      return (month > startMonth || (month === startMonth && day >= startDay)) ||
-             (month < endMonth || (month === endMonth && day <= endDay));
-    } else {
-      // Season within same year
-      return (month > startMonth || (month === startMonth && day >= startDay)) &&
-             (month < endMonth || (month === endMonth && day <= endDay));
+    this.powerDevices[deviceId] = {
+      ...info,
+      hasPower: caps.includes('measure_power'),
+      power: power?.value || 0,
+      lastReport: Math.max(Date.parse(power?.lastUpdated) || 0, Date.parse(meter?.lastUpdated) || 0) || Date.now()
+    };
+
+    const instances = [];
+    if (caps.includes('measure_power')) {
+      // Subscribe to real-time power changes via WebSocket
+      instances.push(device.makeCapabilityInstance('measure_power', (value) => {
+        if (!this.powerDevices[deviceId]) return;
+        this.powerDevices[deviceId] = {
+          ...this.powerDevices[deviceId],
+          power: value || 0,
+          lastReport: Date.now()
+        };
+      }));
+    }
+
+    if (info.hasMeter) {
+      if (typeof meter?.value === 'number') {
+        this.meterReadings[deviceId] = { value: meter.value, timestamp: Date.now() };
+      }
+
+      instances.push(device.makeCapabilityInstance('meter_power', (value) => {
+        if (!this.powerDevices[deviceId]) return;
+        this.powerDevices[deviceId].lastReport = Date.now();
+        this.onMeterReading(deviceId, value);
+      }));
     }
+    this.capabilityInstances[deviceId] = instances;
   }
 
-  getCurrentTariff() {
-    const season = this.getCurrentSeason();
-    if (!season) return 'day'; // Default to day if no season configured
+  /**
+   * Stop tracking a device. Its last power value and any energy not yet
+   * collected are dropped with it.
+   */
+  untrackDevice(deviceId, reason) {
+    const data = this.powerDevices[deviceId];
+    if (!data) return;
+
+    for (const instance of this.capabilityInstances[deviceId] || []) {
+      instance.destroy();
+    }
+    delete this.capabilityInstances[deviceId];
+    delete this.powerDevices[deviceId];
+    delete this.meterReadings[deviceId];
+    delete this.pendingMeterUsage[deviceId];
+    this.log(`[GONE]  ${data.name} (${deviceId}) - ${reason}`);
+  }
+
+  async refreshZoneNames() {
+    this.zoneNames = await this.fetchZoneNames();
+    for (const data of Object.values(this.powerDevices)) {
+      data.zoneName = this.zoneNames[data.zone] || null;
+    }
+  }
 
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  /**
+   * Whether a device has not reported power or energy for longer than the
+   * 'staleAfter' setting (minutes, 0 = never). Devices only report changes,
+   * so keep this well above the time a steady load may go unreported.
+   */
+  isStale(data, now = Date.now()) {
+    const staleAfter = Number(this.homey.settings.get('staleAfter')) || 0;
+    return staleAfter > 0 && now - (data.lastReport || 0) > staleAfter * 60000;
+  }
+
+  isMeterAccounting() {
+    return this.homey.settings.get('accountingMode') !== 'power';
+  }
+
+  /**
+   * Handle a new meter_power (kWh) reading. The delta since the previous
+   * reading is billed at the rates in force while it was consumed, on the
+   * tariff of the meter the device belongs to, and kept per device until
+   * that meter's next cost-tracking tick collects it. Devices no tick
+   * collects (producers, excluded devices, other whole-home meters) only
+   * keep their latest reading.
+   */
+  onMeterReading(deviceId, value) {
+    if (typeof value !== 'number') return;
 
-    const dayStart = season.dayStart || '06:00';
-    const dayEnd = season.dayEnd || '22:00';
+    const now = Date.now();
+    const previous = this.meterReadings[deviceId];
+    this.meterReadings[deviceId] = { value, timestamp: now };
 
-    // Check if current time is within day tariff hours
-    if (currentTime >= dayStart && currentTime < dayEnd) {
-      return 'day';
+    // First reading is only a baseline; a lower value means the counter was reset
+    if (!previous || value <= previous.value) return;
+    if (!this.isMeterAccounting() || !this.isUsageCollected(deviceId)) return;
+
+    const usage = this.pendingMeterUsage[deviceId] || (this.pendingMeterUsage[deviceId] = emptyUsage());
+    const tariff = this.getMeterTariff(this.getDeviceMeterId(deviceId));
+    for (const part of this.splitEnergyByBand(value - previous.value, previous.timestamp, now, tariff)) {
+      addUsage(usage, part.band, part.kwh, part.cost);
     }
-    return 'night';
   }
 
-  getCurrentRate() {
-    const tariff = this.getCurrentTariff();
-    const settings = this.homey.settings;
+  /**
+   * Whether takeUsage() collects the metered energy of a device: it is the
+   * main meter or a consumer of one of the tariff meters.
+   */
+  isUsageCollected(deviceId) {
+    const mainMeter = this.getMainMeter();
+    if (mainMeter && mainMeter.id === deviceId) return true;
+    return this.getMeterIds().some(meterId => this.getPowerDevices(meterId).some(device => device.id === deviceId));
+  }
 
-    if (tariff === 'day') {
-      return settings.get('dayRate') || 0.12;
+  /**
+   * Spread `kwh` evenly over [from, to] and group it by the tariff band in
+   * force at each minute, so a reading that spans a tariff change is billed
+   * at both rates. Each minute is priced by the active price provider, or
+   * by `tariff` (see getMeterTariff).
+   */
+  splitEnergyByBand(kwh, from, to, tariff = this) {
+    const minutes = Math.max(1, Math.min(Math.round((to - from) / 60000), 24 * 60));
+    const parts = {};
+
+    for (let i = 0; i < minutes; i++) {
+      const date = new Date(to - (minutes - i - 0.5) * 60000);
+      const band = tariff.getBandAtDate(date);
+      const id = band ? band.id : 'day';
+      const part = parts[id] || (parts[id] = { band: id, kwh: 0, cost: 0 });
+      part.kwh += kwh / minutes;
+      part.cost += (kwh / minutes) * tariff.getRateAt(date);
     }
-    return settings.get('nightRate') || 0.06;
+
+    return Object.values(parts);
   }
 
-  getFormattedRate() {
-    const rate = this.getCurrentRate();
-    const currency = this.homey.settings.get('currency') || 'EUR';
-    return `${rate.toFixed(4)} ${currency}/kWh`;
+  /**
+   * Energy and cost per device of a tariff meter since the previous call,
+   * split by band. Metered devices report their collected kWh deltas (in
+   * meter accounting mode); the others integrate their current power over
+   * `hours` at the meter's current rate and are attributed to `band`. Only
+   * the main meter and the meter's consumers are included.
+   */
+  takeUsage(hours, band, meterId = PRIMARY_METER_ID) {
+    const meterAccounting = this.isMeterAccounting();
+    const mainMeter = this.isPrimaryMeter(meterId) ? this.getMainMeter() : null;
+    const bandId = band ? band.id : 'day';
+    const rate = this.getMeterTariff(meterId).getCurrentRate();
+    const usages = {};
+
+    for (const device of mainMeter ? [mainMeter, ...this.getPowerDevices()] : this.getPowerDevices(meterId)) {
+      if (meterAccounting && device.hasMeter) {
+        usages[device.id] = this.pendingMeterUsage[device.id] || emptyUsage();
+        delete this.pendingMeterUsage[device.id];
+      } else {
+        const kwh = (Math.max(0, device.power) / 1000) * hours;
+        usages[device.id] = addUsage(emptyUsage(), bandId, kwh, kwh * rate);
+      }
+    }
+
+    return usages;
   }
 
-  recordHistory(totalPower, costPerHour, costToday) {
-    this.history.push({
-      t: Date.now(),
-      power: totalPower,
-      costH: costPerHour,
-      costDay: costToday
-    });
-    // Keep last 24 hours (1440 entries at 1-min intervals)
-    const maxEntries = 1440;
-    if (this.history.length > maxEntries) {
-      this.history = this.history.slice(-maxEntries);
+  /**
+   * Every device with measure_power or meter_power except this app's own,
+   * whether the device rules include it or not. Stale devices (see
+   * isStale) are flagged, and count as 0 W when the 'staleAction' setting
+   * is 'zero'.
+   */
+  getKnownDevices() {
+    if (!this.powerDevices) return [];
+    const categories = this.getDeviceCategories();
+    const zeroStale = this.homey.settings.get('staleAction') === 'zero';
+    const now = Date.now();
+    return Object.entries(this.powerDevices).map(([id, data]) => ({
+      id,
+      name: data.name,
+      power: zeroStale && this.isStale(data, now) ? 0 : data.power,
+      hasMeter: Boolean(data.hasMeter),
+      class: data.class,
+      cumulative: Boolean(data.cumulative),
+      zone: data.zone || null,
+      zoneName: data.zoneName || null,
+      driverId: data.driverId || null,
+      category: categories[id] || null,
+      stale: this.isStale(data, now),
+      lastReport: data.lastReport || null
+    }));
+  }
+
+  /**
+   * Devices that count toward consumption: the known devices the device
+   * rules include.
+   */
+  getTrackedDevices() {
+    const rules = this.getDeviceRules();
+    return this.getKnownDevices().filter(device => DeviceRules.isIncluded(device, rules));
+  }
+
+  /**
+   * Devices of this app, the tariff meters, report the consumption they are
+   * computed from and would count it twice, so they are never tracked.
+   */
+  isOwnDevice(device) {
+    const appUri = `homey:app:${this.homey.manifest.id}`;
+    return device.ownerUri === appUri || String(device.driverId || '').startsWith(`${appUri}:`);
+  }
+
+  getDeviceRules() {
+    return this.homey.settings.get('deviceRules') || DeviceRules.emptyRules();
+  }
+
+  /**
+   * Category labels by device id, e.g. 'Heating', 'EV' or 'Appliances'.
+   */
+  getDeviceCategories() {
+    return this.homey.settings.get('deviceCategories') || {};
+  }
+
+  /**
+   * Save the device rules and/or category labels (see PUT /devices).
+   * `categories` maps device ids to a label, or to null to clear it.
+   * Nothing is saved when either is invalid. Returns { success, errors } as
+   * applySettings does.
+   */
+  updateDevices({ rules, categories } = {}) {
+    const errors = [];
+    let validRules = null;
+    if (rules !== undefined) {
+      const result = DeviceRules.validate(rules);
+      validRules = result.rules;
+      errors.push(...result.errors);
+    }
+
+    const labels = { ...this.getDeviceCategories() };
+    if (categories !== undefined) {
+      if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+        errors.push({ field: 'categories', message: 'Must map device ids to labels' });
+      } else {
+        for (const [deviceId, label] of Object.entries(categories)) {
+          if (label === null || label === '') {
+            delete labels[deviceId];
+          } else if (typeof label !== 'string' || label.trim().length > 30) {
+            errors.push({ field: `categories.${deviceId}`, message: 'Must be text of at most 30 characters' });
+          } else {
+            labels[deviceId] = label.trim();
+          }
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      return { success: false, errors };
     }
+    if (validRules) this.homey.settings.set('deviceRules', validRules);
+    if (categories !== undefined) this.homey.settings.set('deviceCategories', labels);
+    return { success: true, errors: [] };
   }
 
-  getChartData() {
-    const tariff = this.getCurrentTariff();
-    const rate = this.getCurrentRate();
-    const currency = this.homey.settings.get('currency') || 'EUR';
-    const totalPower = this.getPowerDevices().reduce((sum, d) => sum + d.power, 0);
+  /**
+   * Producers and storage report negative or bidirectional power and are
+   * not consumers. Other whole-home meters would count the house twice.
+   */
+  isConsumer(device) {
+    return !PRODUCER_CLASSES.includes(device.class) && !device.cumulative;
+  }
+
+  /**
+   * The device selected as the authoritative whole-home meter (P1 dongle,
+   * clamp meter), or null when consumption is summed from all devices.
+   */
+  getMainMeter() {
+    const mainMeterId = this.homey.settings.get('mainMeterId');
+    if (!mainMeterId) return null;
+    return this.getTrackedDevices().find(device => device.id === mainMeterId) || null;
+  }
+
+  /**
+   * Consumers of a tariff meter, shown in its breakdown. For the primary
+   * meter every tracked device except the main meter, producers, storage,
+   * other whole-home meters and devices selected for another meter; for the
+   * others the devices selected for them.
+   */
+  getPowerDevices(meterId = PRIMARY_METER_ID) {
+    if (!this.isPrimaryMeter(meterId)) {
+      const { devices } = this.getMeterConfig(meterId);
+      return this.getTrackedDevices().filter(device => devices.includes(device.id));
+    }
+
+    const mainMeterId = this.homey.settings.get('mainMeterId');
+    const assigned = this.getAssignedDeviceIds();
+    return this.getTrackedDevices()
+      .filter(device => device.id !== mainMeterId && this.isConsumer(device) && !assigned.has(device.id));
+  }
+
+  /**
+   * Devices whose consumption a tariff meter bills: for the primary meter
+   * the main meter if one is selected, otherwise its consumers.
+   */
+  getBillingDevices(meterId = PRIMARY_METER_ID) {
+    const mainMeter = this.isPrimaryMeter(meterId) ? this.getMainMeter() : null;
+    return mainMeter ? [mainMeter] : this.getPowerDevices(meterId);
+  }
+
+  /**
+   * Power flowing from and to the grid and the solar production, all in W
+   * and non-negative. With a main meter the grid flow is its signed reading
+   * (negative = export); without one it is consumption minus production.
+   */
+  getGridFlow() {
+    const productionPower = this.getTrackedDevices()
+      .filter(device => device.class === 'solarpanel')
+      .reduce((sum, device) => sum + Math.abs(device.power), 0);
+
+    const mainMeter = this.getMainMeter();
+    const gridPower = mainMeter
+      ? mainMeter.power
+      : this.getTotalPower() - productionPower;
 
     return {
-      current: {
-        tariff,
-        rate,
-        currency,
-        totalPower,
-        costPerHour: (totalPower / 1000) * rate,
-      },
-      history: this.history,
+      importPower: Math.max(0, gridPower),
+      exportPower: Math.max(0, -gridPower),
+      productionPower
     };
   }
 
-  async onUninit() {
-    if (this.tariffCheckInterval) {
-      this.homey.clearInterval(this.tariffCheckInterval);
+  getTotalPower(meterId = PRIMARY_METER_ID) {
+    return this.getBillingDevices(meterId).reduce((sum, device) => sum + Math.max(0, device.power), 0);
+  }
+
+  /**
+   * Total power of a tariff meter, the per-device breakdown and the part of
+   * the total that no individual device accounts for (only known with a
+   * main meter).
+   */
+  getPowerBreakdown(meterId = PRIMARY_METER_ID) {
+    const total = this.getTotalPower(meterId);
+    const devices = this.getPowerDevices(meterId)
+      .filter(device => device.power > 0)
+      .sort((a, b) => b.power - a.power);
+    const measured = devices.reduce((sum, device) => sum + device.power, 0);
+
+    return {
+      total,
+      devices,
+      unmeasured: this.isPrimaryMeter(meterId) && this.getMainMeter() ? Math.max(0, total - measured) : 0
+    };
+  }
+
+  async getTopConsumers(meterId = PRIMARY_METER_ID) {
+    // Return power devices sorted by consumption
+    const devices = this.getPowerDevices(meterId);
+    return devices.sort((a, b) => b.power - a.power).slice(0, 5);
+  }
+
+  isPrimaryMeter(meterId) {
+    return meterId === PRIMARY_METER_ID;
+  }
+
+  /**
+   * The next tariff meter to pair, given the data ids of the paired ones:
+   * the primary meter while it is missing, otherwise a further meter.
+   */
+  getNewMeter(pairedIds) {
+    if (!pairedIds.includes(PRIMARY_METER_ID)) {
+      return { name: 'Electricity Tariff', data: { id: PRIMARY_METER_ID } };
+    }
+    return {
+      name: `Electricity Tariff ${pairedIds.length + 1}`,
+      data: { id: `${PRIMARY_METER_ID}-${Date.now().toString(36)}` }
+    };
+  }
+
+  /**
+   * Paired tariff meters as { id, name, primary, profile, devices }. The
+   * primary meter bills the home with the tariff and main meter from the
+   * app settings; each further meter bills the devices selected for it with
+   * its own tariff profile, or the app's tariff without one.
+   */
+  getMeters() {
+    return this.homey.drivers.getDriver('tariff-meter').getDevices().map(device => {
+      const { id } = device.getData();
+      return { id, name: device.getName(), primary: this.isPrimaryMeter(id), ...this.getMeterConfig(id) };
+    });
+  }
+
+  getMeterConfig(meterId) {
+    const config = (this.homey.settings.get('meters') || {})[meterId] || {};
+    return {
+      profile: config.profile || null,
+      devices: Array.isArray(config.devices) ? config.devices : []
+    };
+  }
+
+  /**
+   * Set the tariff profile (null for the app's tariff) and the devices of a
+   * further meter. A device is billed by one meter only, so it leaves any
+   * other meter it was selected for. Returns { success, errors } as
+   * applySettings does.
+   */
+  setMeterConfig(meterId, { profile = null, devices = [] } = {}) {
+    const errors = [];
+    if (this.isPrimaryMeter(meterId)) {
+      errors.push({ field: 'id', message: 'The primary meter uses the tariff and main meter from the app settings' });
+    }
+    if (profile !== null && profile !== '' && !this.getTariffProfiles()[profile]) {
+      errors.push({ field: 'profile', message: `Unknown tariff profile "${profile}"` });
+    }
+    if (!Array.isArray(devices) || devices.some(id => typeof id !== 'string')) {
+      errors.push({ field: 'devices', message: 'Must be a list of device ids' });
+    }
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    const meters = { ...(this.homey.settings.get('meters') || {}) };
+    for (const [id, config] of Object.entries(meters)) {
+      meters[id] = { ...config, devices: (config.devices || []).filter(deviceId => !devices.includes(deviceId)) };
+    }
+    meters[meterId] = { profile: profile || null, devices: [...new Set(devices)] };
+    this.homey.settings.set('meters', meters);
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Forget a deleted meter: its devices go back to the primary meter and
+   * its ledger is removed. The primary meter's ledger is kept.
+   */
+  removeMeter(meterId) {
+    if (this.isPrimaryMeter(meterId)) return;
+
+    const { [meterId]: removed, ...meters } = this.homey.settings.get('meters') || {};
+    if (removed) this.homey.settings.set('meters', meters);
+    delete this.meterLedgers[meterId];
+    EnergyLedger.remove(this.homey, `${METER_LEDGER_PREFIX}${meterId}`);
+  }
+
+  /**
+   * Devices selected for a further meter.
+   */
+  getAssignedDeviceIds() {
+    const meters = this.homey.settings.get('meters') || {};
+    return new Set(Object.values(meters).flatMap(config => config.devices || []));
+  }
+
+  /**
+   * The meter billing a device: the one it is selected for, otherwise the
+   * primary meter.
+   */
+  getDeviceMeterId(deviceId) {
+    const meters = this.homey.settings.get('meters') || {};
+    const meterId = Object.keys(meters).find(id => (meters[id].devices || []).includes(deviceId));
+    return meterId || PRIMARY_METER_ID;
+  }
+
+  /**
+   * The tariff a meter bills with: its tariff profile, or the app itself,
+   * which offers the same lookups for its own tariff.
+   */
+  getMeterTariff(meterId = PRIMARY_METER_ID) {
+    const { profile: profileId } = this.getMeterConfig(meterId);
+    const profile = profileId && this.getTariffProfiles()[profileId];
+    if (!profile) return this;
+
+    return new TariffProfile({
+      profile,
+      getTimezone: () => this.getTimezone(),
+      getHolidays: () => this.homey.settings.get('holidays') || []
+    });
+  }
+
+  /**
+   * Ids of the primary meter and of the further meters set up so far.
+   */
+  getMeterIds() {
+    return [PRIMARY_METER_ID, ...Object.keys(this.homey.settings.get('meters') || {})];
+  }
+
+  /**
+   * Ledgers of all meters, the primary meter's first.
+   */
+  getLedgers() {
+    return this.getMeterIds().map(meterId => this.getMeterLedger(meterId));
+  }
+
+  /**
+   * Ledger of a meter; further meters keep their own next to the app's.
+   */
+  getMeterLedger(meterId) {
+    if (this.isPrimaryMeter(meterId)) return this.ledger;
+
+    if (!this.meterLedgers[meterId]) {
+      const ledger = new EnergyLedger({
+        homey: this.homey,
+        log: (...args) => this.log(...args),
+        getTimezone: () => this.getTimezone(),
+        key: `${METER_LEDGER_PREFIX}${meterId}`
+      });
+      ledger.load();
+      this.meterLedgers[meterId] = ledger;
+    }
+    return this.meterLedgers[meterId];
+  }
+
+  /**
+   * Meter a flow card is for: its optional 'meter' argument, or the primary
+   * meter when that is left empty.
+   */
+  getFlowMeterId(args) {
+    return args.meter && args.meter.id ? args.meter.id : PRIMARY_METER_ID;
+  }
+
+  /**
+   * Bands of the tariff a meter bills with, over all its seasons.
+   */
+  getMeterBands(meterId) {
+    const tariff = this.getMeterTariff(meterId);
+    return tariff === this ? this.getAllBands() : this.getAllBands(tariff.seasons);
+  }
+
+  getMeterChoices(query) {
+    return this.getMeters()
+      .filter(meter => meter.name.toLowerCase().includes(query.toLowerCase()))
+      .map(meter => ({ id: meter.id, name: meter.name }));
+  }
+
+  /**
+   * Named tariffs for further meters, by id, as
+   * { id, name, seasons, charges }.
+   */
+  getTariffProfiles() {
+    return this.homey.settings.get('tariffProfiles') || {};
+  }
+
+  /**
+   * Validate and save a tariff profile from { name, seasons, charges },
+   * replacing one with the same id. Returns { success, errors } as
+   * applySettings does.
+   */
+  saveTariffProfile(id, { name, seasons, charges } = {}) {
+    const { values, errors } = SettingsSchema.validate({ name: name === undefined ? '' : name, seasons, charges: charges || {} });
+    if (!PROFILE_ID.test(id || '')) {
+      errors.unshift({ field: 'id', message: 'Must be lowercase letters, digits and dashes' });
+    }
+    if (seasons === undefined) {
+      errors.push({ field: 'seasons', message: 'Required' });
+    }
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    this.homey.settings.set('tariffProfiles', {
+      ...this.getTariffProfiles(),
+      [id]: {
+        id,
+        name: values.name,
+        seasons: this.normalizeSeasons(values.seasons),
+        charges: this.normalizeCharges(values.charges)
+      }
+    });
+    this.log(`Saved tariff profile ${id}`);
+    return { success: true, errors: [] };
+  }
+
+  /**
+   * Remove a tariff profile. Meters using it fall back to the app's tariff.
+   */
+  deleteTariffProfile(id) {
+    const { [id]: removed, ...profiles } = this.getTariffProfiles();
+    if (!removed) {
+      throw new Error(`Unknown tariff profile "${id}"`);
+    }
+
+    const meters = { ...(this.homey.settings.get('meters') || {}) };
+    for (const [meterId, config] of Object.entries(meters)) {
+      if (config.profile === id) meters[meterId] = { ...config, profile: null };
+    }
+    this.homey.settings.set('meters', meters);
+    this.homey.settings.set('tariffProfiles', profiles);
+  }
+
+  /**
+   * Jobs with a planned window, only those planned for `meterId` when given.
+   * Plans made before windows were planned per meter are the primary meter's.
+   */
+  getPlannedJobs(query, meterId = null) {
+    return Object.values(this.planner.getPlans())
+      .filter(plan => !meterId || (plan.meter || PRIMARY_METER_ID) === meterId)
+      .map(plan => plan.job)
+      .filter(job => job.toLowerCase().includes(query.toLowerCase()))
+      .map(job => ({ id: job, name: job }));
+  }
+
+  /**
+   * Follow tariff changes without polling. A single timer is armed for the
+   * next transition from the tariff engine, the next planned window or the
+   * next tariff version, whichever comes first, and re-armed whenever the
+   * schedule or prices change. Each change is announced once, as the
+   * 'tariffChanged' event on the app (for devices), the tariff-changed flow
+   * trigger and a realtime event (for the widget and settings page).
+   *
+   * Meters billing with a tariff profile are followed on the same timer;
+   * their changes carry the meter and are not sent as realtime events.
+   */
+  startTariffMonitor() {
+    this.syncTariffVersion();
+    const state = this.getTariffStateAt(new Date());
+    this.currentTariff = state.band;
+    this.currentRate = state.rate;
+    this.log(`Current tariff: ${this.currentTariff}`);
+
+    this.meterTariffs = {};
+    this.checkMeterTariffs();
+
+    this.homey.settings.on('set', (key) => {
+      if (TARIFF_SETTINGS.includes(key)) {
+        this.checkTariff();
+      } else if (key === 'plannedWindows') {
+        this.armTariffTimer();
+      }
+    });
+
+    this.armTariffTimer();
+    this.log('Tariff monitor started');
+  }
+
+  armTariffTimer(now = new Date()) {
+    if (this.tariffTimer) {
+      this.homey.clearTimeout(this.tariffTimer);
+    }
+
+    const { nextChange } = this.getTariff(now);
+    const nextWindow = this.planner.getNextStart(now);
+    const nextVersion = this.getNextTariffVersionStart(now);
+    const due = Math.min(
+      now.getTime() + MAX_TARIFF_TIMER,
+      nextChange ? nextChange.timestamp : Infinity,
+      nextWindow !== null ? nextWindow : Infinity,
+      nextVersion !== null ? nextVersion : Infinity,
+      ...Object.values(this.meterTariffs).map(tariff => (tariff.nextChange ? tariff.nextChange.timestamp : Infinity))
+    );
+
+    this.tariffTimer = this.homey.setTimeout(() => {
+      this.tariffTimer = null;
+      // Evaluate at the moment the timer was armed for, even if it fired early
+      this.checkTariff(new Date(Math.max(Date.now(), due)));
+    }, due - now.getTime());
+  }
+
+  /**
+   * Fire planned windows that have begun and, when the band or rate in force
+   * differs from the last one seen, the tariff change. Then re-arm the timer.
+   */
+  checkTariff(now = new Date()) {
+    this.syncTariffVersion(now);
+
+    for (const plan of this.planner.takeStarted(now)) {
+      this.log(`Planned window for ${plan.job} started`);
+      this.plannedWindowStartedTrigger.trigger({
+        job: plan.job,
+        end_time: this.formatTime(plan.end),
+        expected_cost: plan.cost
+      }, { job: plan.job }).catch(err => this.error('Failed to trigger planned window:', err));
+    }
+
+    const state = this.getTariffStateAt(now);
+
+    // With dynamic prices the rate changes within a band as well
+    if (this.currentTariff !== state.band || this.currentRate !== state.rate) {
+      this.log(`Tariff changed from ${this.currentTariff} (${this.currentRate}) to ${state.band} (${state.rate})`);
+
+      const change = {
+        meter: null,
+        timestamp: now.getTime(),
+        previousTariff: this.currentTariff,
+        previousRate: this.currentRate,
+        tariff: state.band,
+        tariffName: state.bandName,
+        rate: state.rate,
+        season: state.season
+      };
+      this.currentTariff = state.band;
+      this.currentRate = state.rate;
+
+      this.announceTariffChange(change);
+      this.publish('tariffChanged', change);
+    }
+
+    this.checkMeterTariffs(now);
+    this.armTariffTimer(now);
+  }
+
+  /**
+   * As checkTariff() does for the app's tariff, fire the tariff change of
+   * every meter on a tariff profile whose band or rate differs from the last
+   * one seen. A meter seen for the first time only has its tariff noted.
+   */
+  checkMeterTariffs(now = new Date()) {
+    const tariffs = {};
+
+    for (const meterId of this.getMeterIds()) {
+      const tariff = this.getMeterTariff(meterId);
+      if (tariff === this) continue;
+
+      const state = tariff.getTariff(now);
+      const previous = this.meterTariffs[meterId];
+      tariffs[meterId] = state;
+      if (!previous || (previous.band === state.band && previous.rate === state.rate)) continue;
+
+      this.log(`Tariff of meter ${meterId} changed from ${previous.band} (${previous.rate}) to ${state.band} (${state.rate})`);
+      this.announceTariffChange({
+        meter: meterId,
+        timestamp: now.getTime(),
+        previousTariff: previous.band,
+        previousRate: previous.rate,
+        tariff: state.band,
+        tariffName: state.bandName,
+        rate: state.rate,
+        season: state.season
+      });
+    }
+
+    this.meterTariffs = tariffs;
+  }
+
+  /**
+   * Fire the tariff-changed flow trigger and the 'tariffChanged' event for
+   * a change of the app's tariff (`meter` null) or of a meter's profile.
+   */
+  announceTariffChange(change) {
+    this.tariffChangedTrigger.trigger({
+      previous_tariff: change.previousTariff,
+      new_tariff: change.tariff,
+      new_tariff_name: change.tariffName,
+      rate: change.rate
+    }, { meter: change.meter }).catch(err => this.error('Failed to trigger tariff change:', err));
+
+    this.emit('tariffChanged', change);
+  }
+
+  getCurrentSeason() {
+    return this.getSeasonForDate(new Date());
+  }
+
+  getSeasonForDate(date) {
+    return TariffEngine.resolve(date.getTime(), this.getTimezone(), this.getTariffConfig()).season;
+  }
+
+  /**
+   * Convert seasons from the legacy single-window format
+   * ({ dayStart, dayEnd } + global dayRate/nightRate) to tariff bands.
+   * Seasons that already have bands are returned with band ids filled in.
+   */
+  normalizeSeasons(seasons) {
+    const dayRate = this.homey.settings.get('dayRate') || 0.12;
+    const nightRate = this.homey.settings.get('nightRate') || 0.06;
+
+    return (seasons || []).map(season => {
+      const { dayStart, dayEnd, ...rest } = season;
+
+      if (!Array.isArray(season.bands)) {
+        return {
+          ...rest,
+          bands: [
+            { id: 'day', name: 'Day', rate: dayRate, exportRate: 0, windows: [{ start: dayStart || '06:00', end: dayEnd || '22:00' }] },
+            { id: 'night', name: 'Night', rate: nightRate, exportRate: 0, windows: [] }
+          ]
+        };
+      }
+
+      return {
+        ...rest,
+        bands: season.bands.map(band => ({
+          id: band.id || this.bandIdFromName(band.name),
+          name: band.name,
+          rate: Number(band.rate) || 0,
+          exportRate: Number(band.exportRate) || 0,
+          windows: band.windows || []
+        }))
+      };
+    });
+  }
+
+  /**
+   * Charges billed on top of the band rates: per-kWh network fee and excise,
+   * a fixed standing charge per month and VAT (percent) over all of them.
+   */
+  normalizeCharges(charges) {
+    const amount = value => Math.max(0, Number(value) || 0);
+    return {
+      networkFee: amount(charges && charges.networkFee),
+      excise: amount(charges && charges.excise),
+      standingCharge: amount(charges && charges.standingCharge),
+      vat: amount(charges && charges.vat)
+    };
+  }
+
+  /**
+   * Charges of the tariff version in force at `date`.
+   */
+  getCharges(date = null) {
+    if (!date) return this.normalizeCharges(this.homey.settings.get('charges'));
+    return this.normalizeCharges(this.getTariffVersionAt(date).charges);
+  }
+
+  /**
+   * All-in price of one kWh at band rate `rate`: fees and VAT included,
+   * standing charge excluded.
+   */
+  getUnitPrice(rate, charges = this.getCharges()) {
+    return (rate + charges.networkFee + charges.excise) * (1 + charges.vat / 100);
+  }
+
+  /**
+   * Price energy-only usage ({ kwh, cost, bands }, cost at the band rates)
+   * with the per-kWh fees and VAT. Returns the all-in usage and what each
+   * charge added to it.
+   */
+  priceUsage(usage, charges = this.getCharges()) {
+    const priced = emptyUsage();
+    const added = { network: 0, excise: 0, standing: 0, vat: 0 };
+
+    for (const [band, values] of Object.entries(usage.bands)) {
+      const network = values.kwh * charges.networkFee;
+      const excise = values.kwh * charges.excise;
+      const vat = (values.cost + network + excise) * charges.vat / 100;
+
+      addUsage(priced, band, values.kwh, values.cost + network + excise + vat);
+      added.network += network;
+      added.excise += excise;
+      added.vat += vat;
+    }
+
+    return { usage: priced, charges: added };
+  }
+
+  /**
+   * Standing charge accrued over `hours`, spread evenly over the days of the
+   * month containing `date`. VAT excluded.
+   */
+  getStandingCharge(hours, date, charges = this.getCharges()) {
+    const local = this.getLocalTime(date);
+    const daysInMonth = new Date(Date.UTC(local.year, local.month, 0)).getUTCDate();
+    return charges.standingCharge * hours / (daysInMonth * 24);
+  }
+
+  /**
+   * Clean up a user-supplied holiday list. Each entry is
+   * { name, date: 'YYYY-MM-DD', recurring }; recurring holidays match the
+   * same month and day every year, the others only that exact date.
+   */
+  normalizeHolidays(holidays) {
+    return (holidays || [])
+      .filter(holiday => /^\d{4}-\d{2}-\d{2}$/.test(holiday.date))
+      .map(holiday => ({
+        name: holiday.name || '',
+        date: holiday.date,
+        recurring: Boolean(holiday.recurring)
+      }));
+  }
+
+  bandIdFromName(name) {
+    return String(name || 'band').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'band';
+  }
+
+  /**
+   * Unique bands across all seasons (by id), used for the condition autocomplete.
+   */
+  getAllBands(seasons = this.homey.settings.get('seasons') || []) {
+    const bands = new Map();
+    for (const season of seasons) {
+      for (const band of season.bands || []) {
+        if (!bands.has(band.id)) bands.set(band.id, band);
+      }
+    }
+    return [...bands.values()];
+  }
+
+  /**
+   * Timezone the tariff schedules are defined in: the one set on Homey.
+   */
+  getTimezone() {
+    return this.homey.clock.getTimezone();
+  }
+
+  /**
+   * Calendar fields of `date` on Homey's clock. The process itself runs in
+   * UTC, so Date's local getters must not be used for anything the user
+   * sees as a time of day.
+   */
+  getLocalTime(date = new Date()) {
+    return TariffEngine.getLocalTime(date.getTime(), this.getTimezone());
+  }
+
+  /**
+   * Local 'YYYY-MM-DD' of `date`, e.g. to detect the daily reset.
+   */
+  getDayKey(date = new Date()) {
+    return EnergyLedger.dayKey(date, this.getTimezone());
+  }
+
+  formatTime(timestamp) {
+    return TariffEngine.formatTime(timestamp, this.getTimezone());
+  }
+
+  /**
+   * The tariff configuration for the engine, as a function of time: each
+   * timestamp gets the seasons of the tariff version in force then.
+   */
+  getTariffConfig() {
+    const versions = this.getTariffVersions();
+    const holidays = this.homey.settings.get('holidays') || [];
+    const config = timestamp => ({
+      seasons: this.getTariffVersionAt(new Date(timestamp), versions).seasons,
+      holidays
+    });
+    config.changes = versions.map(version => version.effectiveFrom);
+    return config;
+  }
+
+  /**
+   * Effective-dated tariff versions, oldest first, as
+   * { effectiveFrom (ms), seasons, charges }. Each is in force from its
+   * effectiveFrom until the next one; the first also covers everything
+   * before it. Until a dated change is saved, the current seasons and
+   * charges are the only version.
+   */
+  getTariffVersions() {
+    const versions = this.homey.settings.get('tariffVersions');
+    if (Array.isArray(versions) && versions.length > 0) return versions;
+
+    return [{
+      effectiveFrom: 0,
+      seasons: this.homey.settings.get('seasons') || [],
+      charges: this.normalizeCharges(this.homey.settings.get('charges'))
+    }];
+  }
+
+  getTariffVersionAt(date, versions = this.getTariffVersions()) {
+    let version = versions[0];
+    for (const candidate of versions) {
+      if (candidate.effectiveFrom <= date.getTime()) version = candidate;
+    }
+    return version;
+  }
+
+  /**
+   * Store seasons and/or charges as the version in force from
+   * `effectiveFrom` (ms), replacing a version starting at the same moment.
+   * `updateLater` optionally rewrites the versions starting after it.
+   * Superseded versions are pruned (see pruneTariffVersions), so nothing is
+   * stored when the change equals what is in force then anyway.
+   */
+  saveTariffVersion({ seasons, charges }, effectiveFrom, updateLater = null) {
+    const versions = this.getTariffVersions();
+    const previous = this.getTariffVersionAt(new Date(effectiveFrom), versions);
+    const version = {
+      effectiveFrom,
+      seasons: seasons || previous.seasons,
+      charges: charges || previous.charges
+    };
+
+    const updated = this.pruneTariffVersions([
+      ...versions
+        .filter(candidate => candidate.effectiveFrom !== effectiveFrom)
+        .map(candidate => (updateLater && candidate.effectiveFrom > effectiveFrom ? updateLater(candidate) : candidate)),
+      version
+    ].sort((a, b) => a.effectiveFrom - b.effectiveFrom));
+    if (JSON.stringify(updated) === JSON.stringify(versions)) return;
+
+    this.homey.settings.set('tariffVersions', updated);
+    this.log(`Saved tariff version effective from ${new Date(effectiveFrom).toISOString()}`);
+    this.syncTariffVersion();
+  }
+
+  /**
+   * Drop the versions (oldest first) that change nothing from the one
+   * before them, and those that ended more than TARIFF_VERSION_RETENTION
+   * before `now`. The first version left covers everything before it.
+   */
+  pruneTariffVersions(versions, now = new Date()) {
+    const sameTariff = (a, b) => JSON.stringify(a.seasons) === JSON.stringify(b.seasons)
+      && JSON.stringify(a.charges) === JSON.stringify(b.charges);
+    const distinct = versions.filter((version, index) => index === 0 || !sameTariff(version, versions[index - 1]));
+
+    const horizon = now.getTime() - TARIFF_VERSION_RETENTION;
+    return distinct.filter((version, index) => index === distinct.length - 1 || distinct[index + 1].effectiveFrom > horizon);
+  }
+
+  /**
+   * Remove the version starting at `effectiveFrom`. The only version left
+   * cannot be removed.
+   */
+  deleteTariffVersion(effectiveFrom) {
+    const versions = this.getTariffVersions();
+    const remaining = versions.filter(version => version.effectiveFrom !== effectiveFrom);
+    if (remaining.length === versions.length) {
+      throw new Error('No tariff version starts at that moment');
+    }
+    if (remaining.length === 0) {
+      throw new Error('The only tariff version cannot be removed');
+    }
+
+    this.homey.settings.set('tariffVersions', remaining);
+    this.syncTariffVersion();
+  }
+
+  /**
+   * Keep the 'seasons' and 'charges' settings equal to the version in force
+   * at `now`, so a future-dated version takes over when its time comes.
+   */
+  syncTariffVersion(now = new Date()) {
+    const settings = this.homey.settings;
+    const version = this.getTariffVersionAt(now);
+
+    if (JSON.stringify(settings.get('seasons')) !== JSON.stringify(version.seasons)) {
+      settings.set('seasons', version.seasons);
+      this.log(`Tariff version effective from ${new Date(version.effectiveFrom).toISOString()} is now in force`);
+    }
+    if (JSON.stringify(settings.get('charges')) !== JSON.stringify(version.charges)) {
+      settings.set('charges', version.charges);
+    }
+  }
+
+  /**
+   * Start of the first tariff version after `now`, or null.
+   */
+  getNextTariffVersionStart(now = new Date()) {
+    const next = this.getTariffVersions().find(version => version.effectiveFrom > now.getTime());
+    return next ? next.effectiveFrom : null;
+  }
+
+  /**
+   * Engine options that make it use the active price provider's rates. The
+   * static schedule is the engine's own band rates, so it needs none; other
+   * providers' rates change at the edges of their price slots.
+   */
+  getEngineOptions() {
+    const provider = this.getPriceProvider();
+    if (provider === this.priceProviders.static) return {};
+    return {
+      rateAt: timestamp => this.getRateAt(new Date(timestamp)),
+      rateChanges: (from, to) => provider.getPrices(new Date(from), new Date(to))
+        .flatMap(slot => [slot.start, slot.end])
+    };
+  }
+
+  getCurrentBand() {
+    return this.getBandAtDate(new Date());
+  }
+
+  getBandAtDate(date) {
+    return TariffEngine.resolve(date.getTime(), this.getTimezone(), this.getTariffConfig()).band;
+  }
+
+  /**
+   * Band, rate and season in force at `date` and the next change within a
+   * week, as { band, bandName, rate, season, nextChange }.
+   */
+  getTariff(date = new Date()) {
+    return TariffEngine.getTariff(date.getTime(), this.getTimezone(), this.getTariffConfig(), this.getEngineOptions());
+  }
+
+  /**
+   * Band, rate and season in force at `date`.
+   */
+  getTariffStateAt(date) {
+    return { ...TariffEngine.getStateAt(date.getTime(), this.getTimezone(), this.getTariffConfig()), rate: this.getRateAt(date) };
+  }
+
+  /**
+   * Upcoming transitions after `from` and before `to` (two days ahead by
+   * default): every minute where the band, the rate or the season changes,
+   * as { timestamp, time, band, bandName, rate, season } describing what is
+   * in force from then on.
+   */
+  getTariffTimeline({ from = new Date(), to = null, limit = Infinity } = {}) {
+    const end = to ? to.getTime() : from.getTime() + 2 * 24 * 3600000;
+    return TariffEngine.getTransitions(from.getTime(), end, this.getTimezone(), this.getTariffConfig(), {
+      ...this.getEngineOptions(),
+      limit
+    }).map(transition => ({ ...transition, time: new Date(transition.timestamp).toISOString() }));
+  }
+
+  /**
+   * The day containing `date` as consecutive segments { start, end, band,
+   * bandName, rate, season }. A DST day is 23 or 25 hours long.
+   */
+  getTariffDay(date = new Date()) {
+    return TariffEngine.getDaySegments(date.getTime(), this.getTimezone(), this.getTariffConfig(), this.getEngineOptions());
+  }
+
+  getCurrentTariff() {
+    const band = this.getCurrentBand();
+    return band ? band.id : 'day'; // Default to day if no season configured
+  }
+
+  /**
+   * Add a price source. Providers extend lib/providers/PriceProvider and are
+   * selected by id through the 'priceProvider' setting.
+   */
+  registerPriceProvider(provider) {
+    this.priceProviders[provider.id] = provider;
+    return provider;
+  }
+
+  getPriceProvider() {
+    return this.priceProviders[this.homey.settings.get('priceProvider')] || this.priceProviders.static;
+  }
+
+  /**
+   * Energy rate at `date` from the active price provider.
+   */
+  getRateAt(date) {
+    const price = this.getPriceProvider().getPriceAt(date);
+    return price ? price.rate : 0.12;
+  }
+
+  getCurrentRate() {
+    return this.getRateAt(new Date());
+  }
+
+  /**
+   * Price slots of the active provider for today and tomorrow.
+   */
+  getPrices(now = new Date()) {
+    const timezone = this.getTimezone();
+    const local = this.getLocalTime(now);
+    const from = new Date(TariffEngine.getDayStart(local.year, local.month, local.day, timezone));
+    const to = new Date(TariffEngine.getDayStart(local.year, local.month, local.day + 2, timezone));
+    return this.getPriceProvider().getPrices(from, to);
+  }
+
+  importPrices(data, format) {
+    const result = this.priceProviders.import.import(data, format);
+    this.log(`Imported ${result.count} prices from ${result.from} to ${result.to}`);
+    return result;
+  }
+
+  getFormattedRate() {
+    const rate = this.getCurrentRate();
+    const currency = this.homey.settings.get('currency') || 'EUR';
+    return `${rate.toFixed(4)} ${currency}/kWh`;
+  }
+
+  /**
+   * Record one cost-tracking sample in a meter's ledger. `kwh` and `cost`
+   * are the increments since the previous sample, `bands` splits them by
+   * band and `band` is the band currently in force. `devices` maps device
+   * ids to their own usage for per-device attribution. Costs come in at the
+   * band rates only; fees, VAT and the standing charge of the meter's
+   * tariff for the `hours` covered are added here.
+   */
+  recordUsage({ power, costPerHour, kwh, cost, band, bands, devices, exported, productionKwh, hours = 0 }, meterId = PRIMARY_METER_ID) {
+    const charges = this.getMeterTariff(meterId).getCharges();
+    const priced = this.priceUsage({ kwh, cost, bands: bands || { [band]: { kwh, cost } } }, charges);
+
+    const standing = this.getStandingCharge(hours, new Date(), charges);
+    priced.charges.standing = standing;
+    priced.charges.vat += standing * charges.vat / 100;
+
+    const deviceUsage = {};
+    for (const [deviceId, usage] of Object.entries(devices || {})) {
+      if (usage.kwh <= 0) continue;
+      const pricedDevice = this.priceUsage(usage, charges);
+      deviceUsage[deviceId] = {
+        name: this.powerDevices?.[deviceId]?.name || deviceId,
+        bands: pricedDevice.usage.bands,
+        charges: pricedDevice.charges
+      };
+    }
+
+    this.getMeterLedger(meterId).record({
+      power,
+      costPerHour,
+      kwh,
+      cost: priced.usage.cost,
+      band,
+      bands: priced.usage.bands,
+      devices: deviceUsage,
+      exported,
+      productionKwh,
+      fixedCost: standing * (1 + charges.vat / 100),
+      charges: priced.charges
+    });
+  }
+
+  /**
+   * First and last day key of 'today', 'week' (last 7 days including
+   * today), 'month' (calendar month so far) or 'billing' (billing period so
+   * far).
+   */
+  getPeriodRange(period, now = new Date()) {
+    const timezone = this.getTimezone();
+    const local = this.getLocalTime(now);
+    let from = now;
+    if (period === 'week') {
+      from = new Date(TariffEngine.getDayStart(local.year, local.month, local.day - 6, timezone));
+    } else if (period === 'month') {
+      from = new Date(TariffEngine.getDayStart(local.year, local.month, 1, timezone));
+    } else if (period === 'billing') {
+      from = this.getBillingPeriod(now).start;
+    }
+    return { fromKey: EnergyLedger.dayKey(from, timezone), toKey: EnergyLedger.dayKey(now, timezone) };
+  }
+
+  getBillingStartDay() {
+    const day = parseInt(this.homey.settings.get('billingStartDay'), 10);
+    return day >= 1 && day <= 28 ? day : 1;
+  }
+
+  /**
+   * The billing period containing `date` as { start, end }, local midnights
+   * with `end` exclusive. Periods run from the billing start day to the day
+   * before it in the next month.
+   */
+  getBillingPeriod(date = new Date()) {
+    const timezone = this.getTimezone();
+    const startDay = this.getBillingStartDay();
+    const local = this.getLocalTime(date);
+    const month = local.day < startDay ? local.month - 1 : local.month;
+    return {
+      start: new Date(TariffEngine.getDayStart(local.year, month, startDay, timezone)),
+      end: new Date(TariffEngine.getDayStart(local.year, month + 1, startDay, timezone))
+    };
+  }
+
+  /**
+   * Energy and cost so far in the current billing period and the expected
+   * cost at its end. Every hour left in the period is forecast at the
+   * average cost of that hour on past days of the same weekday, falling back
+   * to all past days and, without any complete day yet, to the average hourly
+   * cost of the period so far. Other meters than the primary one are
+   * forecast from their own ledger.
+   */
+  getBillingForecast(now = new Date(), meterId = PRIMARY_METER_ID) {
+    const timezone = this.getTimezone();
+    const ledger = this.getMeterLedger(meterId);
+    const { start, end } = this.getBillingPeriod(now);
+    const soFar = ledger.getRange(EnergyLedger.dayKey(start, timezone), EnergyLedger.dayKey(now, timezone));
+
+    const overall = ledger.getHourlyProfile(now);
+    const elapsedHours = Math.max(1, (now - start) / 3600000);
+    const fallback = overall || new Array(24).fill(soFar.cost / elapsedHours);
+    const profiles = {};
+
+    const { minute } = this.getLocalTime(now);
+    const currentHour = now.getTime() - minute * 60000 - (now.getTime() % 60000);
+    let remaining = 0;
+
+    // Step in absolute hours so DST changes neither skip nor repeat an hour
+    for (let time = currentHour; time < end.getTime(); time += 3600000) {
+      const { weekday, hour } = TariffEngine.getLocalTime(time, timezone);
+      if (!(weekday in profiles)) {
+        profiles[weekday] = ledger.getHourlyProfile(now, weekday) || fallback;
+      }
+
+      let expected = profiles[weekday][hour];
+      if (time === currentHour) {
+        expected = Math.max(0, expected - ledger.getHour(now).cost);
+      }
+      remaining += expected;
+    }
+
+    return {
+      meter: meterId,
+      start: EnergyLedger.dayKey(start, timezone),
+      end: EnergyLedger.dayKey(new Date(end.getTime() - 1), timezone),
+      kwh: soFar.kwh,
+      cost: soFar.cost,
+      forecast: soFar.cost + remaining
+    };
+  }
+
+  /**
+   * Energy and all-in cost of a meter for a period (see getPeriodRange)
+   * with the cost split into energy, network fee, excise, standing charge
+   * and VAT.
+   */
+  getCostBreakdown(period = 'today', now = new Date(), meterId = PRIMARY_METER_ID) {
+    const range = this.getPeriodRange(period, now);
+    const total = this.getMeterLedger(meterId).getRange(range.fromKey, range.toKey);
+
+    return {
+      meter: meterId,
+      period,
+      from: range.fromKey,
+      to: range.toKey,
+      kwh: total.kwh,
+      cost: total.cost,
+      components: total.components,
+      bands: total.bands,
+      charges: this.getMeterTariff(meterId).getCharges()
+    };
+  }
+
+  /**
+   * Re-cost the recorded hours of the days `fromKey` to `toKey` at band
+   * rates, with each hour priced by the tariff version in force then, or
+   * all of them by the version in force at `tariffAt`. Energy, fees, VAT
+   * and export earnings are re-priced; the standing charge accrued stays as
+   * recorded, with the version's VAT. Hours with a band the version does
+   * not know are left alone. Without `apply` this only previews the result.
+   * A meter on a tariff profile is re-costed with its profile, which has no
+   * versions.
+   */
+  recostPeriod(fromKey, toKey, { tariffAt = null, apply = false, meterId = PRIMARY_METER_ID } = {}) {
+    const timezone = this.getTimezone();
+    const tariff = this.getMeterTariff(meterId);
+    const versions = tariff === this
+      ? this.getTariffVersions()
+      : [{ effectiveFrom: 0, seasons: tariff.seasons, charges: tariff.getCharges() }];
+    const holidays = this.homey.settings.get('holidays') || [];
+
+    const priceHour = (hourKey, hour) => {
+      const start = EnergyLedger.keyStart(hourKey, timezone);
+      const version = this.getTariffVersionAt(tariffAt || new Date(start), versions);
+      const { season } = TariffEngine.resolve(start, timezone, { seasons: version.seasons, holidays });
+      const bands = season ? season.bands : [];
+      const charges = this.normalizeCharges(version.charges);
+
+      const usage = emptyUsage();
+      for (const [id, values] of Object.entries(hour.bands)) {
+        const band = bands.find(candidate => candidate.id === id);
+        if (!band) return null;
+        addUsage(usage, id, values.kwh, values.kwh * band.rate);
+      }
+
+      const exportBands = {};
+      for (const [id, values] of Object.entries(hour.export ? hour.export.bands : {})) {
+        const band = bands.find(candidate => candidate.id === id);
+        if (!band) return null;
+        exportBands[id] = values.kwh * (band.exportRate || 0);
+      }
+
+      const priced = this.priceUsage(usage, charges);
+      const standing = (hour.charges && hour.charges.standing) || 0;
+      priced.charges.standing = standing;
+      priced.charges.vat += standing * charges.vat / 100;
+
+      return {
+        cost: priced.usage.cost + standing * (1 + charges.vat / 100),
+        bands: priced.usage.bands,
+        charges: priced.charges,
+        exportBands
+      };
+    };
+
+    const days = this.getMeterLedger(meterId).recost(fromKey, toKey, priceHour, { apply });
+    const total = key => days.reduce((sum, day) => sum + day[key], 0);
+    if (apply) {
+      this.log(`Re-costed ${meterId} ${fromKey} to ${toKey}: ${total('cost').toFixed(2)} -> ${total('recostedCost').toFixed(2)}`);
+    }
+
+    return {
+      meter: meterId,
+      from: fromKey,
+      to: toKey,
+      tariffAt: tariffAt ? tariffAt.getTime() : null,
+      applied: apply,
+      cost: total('cost'),
+      recostedCost: total('recostedCost'),
+      earnings: total('earnings'),
+      recostedEarnings: total('recostedEarnings'),
+      days
+    };
+  }
+
+  /**
+   * Recorded consumption and cost of a meter over the days `fromKey` to
+   * `toKey` as export rows (see lib/HistoryExport) at 'minute', 'hour' or
+   * 'day' resolution. Each row carries the season, band and rate in force
+   * on the meter's tariff: the scheduled band rate, or with a dynamic price
+   * source the price at the start of minute and hour rows. Minute rows are
+   * the samples of the last 6 hours, hour rows go back about two months,
+   * day rows over a year.
+   */
+  getHistory(fromKey, toKey, resolution = 'hour', meterId = PRIMARY_METER_ID) {
+    const timezone = this.getTimezone();
+    const tariff = this.getMeterTariff(meterId);
+    const ledger = this.getMeterLedger(meterId);
+    const config = tariff.getTariffConfig();
+    const dynamic = tariff === this && this.getPriceProvider() !== this.priceProviders.static;
+
+    const row = (start, bandId, values, exported = null, { exactRate = true } = {}) => {
+      const { season } = TariffEngine.resolve(start, timezone, config);
+      const band = season && season.bands.find(candidate => candidate.id === bandId);
+      return {
+        start: new Date(start).toISOString(),
+        date: TariffEngine.getDayKey(start, timezone),
+        time: TariffEngine.formatTime(start, timezone),
+        season: season ? season.name : null,
+        band: bandId,
+        bandName: band ? band.name : bandId,
+        rate: dynamic && exactRate ? this.getRateAt(new Date(start)) : (band ? band.rate : null),
+        kwh: values.kwh,
+        cost: values.cost,
+        exportKwh: exported ? exported.kwh : null,
+        earnings: exported ? exported.earnings : null
+      };
+    };
+
+    // One row per band of a bucket plus one for its standing charge
+    const bucketRows = (start, bucket, options) => {
+      const exportBands = bucket.export ? bucket.export.bands : {};
+      const bandIds = [...new Set([...Object.keys(bucket.bands), ...Object.keys(exportBands)])];
+      const rows = bandIds.map(bandId => row(start, bandId, bucket.bands[bandId] || { kwh: 0, cost: 0 },
+        exportBands[bandId] || { kwh: 0, earnings: 0 }, options));
+
+      const standing = bucket.cost - Object.values(bucket.bands).reduce((sum, values) => sum + values.cost, 0);
+      if (standing > 1e-9) {
+        rows.push({ ...row(start, null, { kwh: 0, cost: standing }), band: 'standing', bandName: 'Standing charge', rate: null });
+      }
+      return rows;
+    };
+
+    if (resolution === 'minute') {
+      // A sample covers the minute up to its time
+      return ledger.getSamples()
+        .filter(sample => {
+          const key = TariffEngine.getDayKey(sample.t - 60000, timezone);
+          return key >= fromKey && key <= toKey;
+        })
+        .map(sample => row(sample.t - 60000, sample.band, { kwh: sample.kwh, cost: sample.cost }));
+    }
+
+    const rows = [];
+    if (resolution === 'day') {
+      for (const day of ledger.getDays(fromKey, toKey)) {
+        rows.push(...bucketRows(EnergyLedger.keyStart(day.date, timezone), day, { exactRate: false }));
+      }
+    } else {
+      for (const hour of ledger.getHours(fromKey, toKey)) {
+        rows.push(...bucketRows(EnergyLedger.keyStart(hour.hour, timezone), hour));
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Per-device energy and cost for 'today', 'week' (last 7 days including
+   * today) or 'month' (calendar month so far) over the consumers of one
+   * meter, or of all meters without `meterId`, most expensive first.
+   */
+  getConsumerCosts(period = 'today', now = new Date(), meterId = null) {
+    const range = period === 'month' ? { month: now } : this.getPeriodRange(period, now);
+    const ledgers = meterId ? [this.getMeterLedger(meterId)] : this.getLedgers();
+    return EnergyLedger.combineDeviceTotals(ledgers, range);
+  }
+
+  /**
+   * Energy and cost per device category or zone (`by`) for a period (see
+   * getConsumerCosts), most expensive first, as { id, name, kwh, cost, devices } with `devices` the number of
+   * devices in the group. Devices without a category, or whose zone is not
+   * known, make up the group with id null.
+   */
+  getGroupCosts(by = 'category', period = 'today', now = new Date()) {
+    const known = new Map(this.getKnownDevices().map(device => [device.id, device]));
+    const groups = new Map();
+
+    for (const total of this.getConsumerCosts(period, now)) {
+      const device = known.get(total.id);
+      const id = by === 'zone' ? (device?.zone || null) : (device?.category || null);
+      let name = by === 'zone' ? device?.zoneName : device?.category;
+      if (!id) name = by === 'zone' ? 'Unknown zone' : 'Uncategorized';
+
+      const group = groups.get(id) || { id, name: name || id, kwh: 0, cost: 0, deviceIds: new Set() };
+      group.kwh += total.kwh;
+      group.cost += total.cost;
+      group.deviceIds.add(total.id);
+      groups.set(id, group);
+    }
+
+    return [...groups.values()]
+      .map(({ deviceIds, ...group }) => ({ ...group, devices: deviceIds.size }))
+      .sort((a, b) => b.cost - a.cost);
+  }
+
+  /**
+   * One device's energy and cost for a period (see getConsumerCosts),
+   * optionally limited to a single tariff band.
+   */
+  getDeviceCost(deviceId, period = 'today', band = null, meterId = null) {
+    const total = this.getConsumerCosts(period, new Date(), meterId).find(device => device.id === deviceId);
+    if (!total) return { kwh: 0, cost: 0 };
+    if (!band) return { kwh: total.kwh, cost: total.cost };
+
+    const bandTotal = total.bands[band] || { kwh: 0, cost: 0 };
+    return { kwh: bandTotal.kwh, cost: bandTotal.cost };
+  }
+
+  /**
+   * Live figures shown by the widget and the settings page: tariff, power
+   * and cost per hour now and the cost so far today. Also pushed as the
+   * realtime 'costUpdate' event on every cost-tracking update of the
+   * primary meter.
+   */
+  getCurrentStatus(now = new Date(), meterId = PRIMARY_METER_ID) {
+    const meterTariff = this.getMeterTariff(meterId);
+    const band = meterTariff.getBandAtDate(now);
+    const tariff = band ? band.id : 'day';
+    const rate = meterTariff.getRateAt(now);
+    const { total: totalPower, unmeasured } = this.getPowerBreakdown(meterId);
+
+    return {
+      meter: meterId,
+      timestamp: now.getTime(),
+      tariff,
+      tariffName: band?.name || tariff,
+      rate,
+      currency: this.homey.settings.get('currency') || 'EUR',
+      totalPower,
+      unmeasuredPower: unmeasured,
+      costPerHour: (totalPower / 1000) * this.getUnitPrice(rate, meterTariff.getCharges(now)),
+      costToday: this.getMeterLedger(meterId).getDay(now).cost,
+    };
+  }
+
+  /**
+   * Push `data` to the widget and the settings page as realtime `event`.
+   * Sent are 'tariffChanged', 'costUpdate' and 'alert'.
+   */
+  publish(event, data) {
+    Promise.resolve()
+      .then(() => this.homey.api.realtime(event, data))
+      .catch(err => this.error(`Failed to publish ${event}:`, err));
+  }
+
+  /**
+   * Data for the energy chart widget over `range` ('today', '24h', 'week'
+   * or 'billing', see getChartRange) in one of three views:
+   *
+   * - 'power': power and cost per hour downsampled to at most
+   *   ChartSeries.MAX_POINTS points (`series`), plus the tariff band spans
+   *   to shade the background with (`bands`)
+   * - 'bars': kWh and cost per day (`days`)
+   * - 'consumers': cost per day of the top consumers (`consumers`)
+   */
+  getChartData({ range = '24h', view = 'power' } = {}, now = new Date()) {
+    const timezone = this.getTimezone();
+    const { from, to } = this.getChartRange(range, now);
+    const fromKey = EnergyLedger.dayKey(from, timezone);
+    const toKey = EnergyLedger.dayKey(to, timezone);
+
+    const data = {
+      current: this.getCurrentStatus(now),
+      timezone,
+      tariffDay: this.getTariffDay(now),
+      range: { id: range, from: from.getTime(), to: to.getTime() },
+      view,
+    };
+
+    if (view === 'bars') {
+      data.days = this.ledger.getDays(fromKey, toKey).map(day => ({ date: day.date, kwh: day.kwh, cost: day.cost }));
+    } else if (view === 'consumers') {
+      data.consumers = this.getConsumerSeries(fromKey, toKey);
+    } else {
+      Object.assign(data, this.getChartSeries(from, to));
+    }
+    return data;
+  }
+
+  /**
+   * Start and end of a chart range: 'today' (since local midnight), '24h',
+   * 'week' (the last 7 days including today) or 'billing' (the billing
+   * period so far). Unknown ranges are '24h'.
+   */
+  getChartRange(range, now = new Date()) {
+    const local = this.getLocalTime(now);
+    const timezone = this.getTimezone();
+
+    if (range === 'today') {
+      return { from: new Date(TariffEngine.getDayStart(local.year, local.month, local.day, timezone)), to: now };
+    }
+    if (range === 'week') {
+      return { from: new Date(TariffEngine.getDayStart(local.year, local.month, local.day - 6, timezone)), to: now };
+    }
+    if (range === 'billing') {
+      return { from: this.getBillingPeriod(now).start, to: now };
+    }
+    return { from: new Date(now.getTime() - 24 * 3600000), to: now };
+  }
+
+  /**
+   * Downsampled power and cost per hour between `from` and `to` with the
+   * tariff band spans for the same buckets. Ranges covered by the minute
+   * samples (the last few hours) come from those, longer ranges from the
+   * hourly buckets.
+   */
+  getChartSeries(from, to) {
+    const timezone = this.getTimezone();
+    const samples = this.ledger.getSamples();
+    // A sample covers the minute up to its time
+    const hourly = !samples.length || from.getTime() < samples[0].t - 60000;
+    const size = ChartSeries.getBucketSize(from.getTime(), to.getTime(), hourly ? 3600000 : 60000);
+
+    const points = hourly
+      ? this.ledger.getHours(EnergyLedger.dayKey(from, timezone), EnergyLedger.dayKey(to, timezone)).map(hour => ({
+        t: EnergyLedger.keyStart(hour.hour, timezone),
+        power: hour.kwh * 1000,
+        costH: hour.cost,
+        kwh: hour.kwh,
+        cost: hour.cost
+      }))
+      : samples.map(sample => ({
+        t: sample.t,
+        power: sample.power,
+        costH: sample.costH,
+        kwh: sample.kwh,
+        cost: sample.cost
+      }));
+
+    // Band and rate in the middle of each bucket
+    const config = this.getTariffConfig();
+    const bands = ChartSeries.getBucketStarts(from.getTime(), to.getTime(), size).map(start => {
+      const middle = Math.min(start + size / 2, to.getTime());
+      const state = TariffEngine.getStateAt(middle, timezone, config);
+      return {
+        start,
+        end: Math.min(start + size, to.getTime()),
+        band: state.band,
+        bandName: state.bandName,
+        rate: this.getRateAt(new Date(middle))
+      };
+    });
+
+    return {
+      series: ChartSeries.downsample(points, from.getTime(), to.getTime(), size),
+      bands: ChartSeries.mergeSpans(bands)
+    };
+  }
+
+  /**
+   * Cost per day of the `top` most expensive consumers of all meters over
+   * the days `fromKey` to `toKey`. `other` is the rest of each day's cost
+   * over all meters: devices outside the top, unmeasured consumption and
+   * the standing charge.
+   */
+  getConsumerSeries(fromKey, toKey, top = 5) {
+    const ledgers = this.getLedgers();
+    const devices = EnergyLedger.combineDeviceTotals(ledgers, { fromKey, toKey }).slice(0, top);
+
+    const days = new Map();
+    for (const day of ledgers.flatMap(ledger => ledger.getDays(fromKey, toKey))) {
+      const total = days.get(day.date) || { date: day.date, kwh: 0, cost: 0 };
+      total.kwh += day.kwh;
+      total.cost += day.cost;
+      days.set(day.date, total);
+    }
+
+    return {
+      devices: devices.map(device => ({ id: device.id, name: device.name, kwh: device.kwh, cost: device.cost })),
+      days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).map(day => {
+        const costs = {};
+        for (const device of devices) {
+          costs[device.id] = ledgers.reduce((sum, ledger) => sum + ledger.getDeviceDay(device.id, day.date).cost, 0);
+        }
+        const attributed = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+        return { date: day.date, kwh: day.kwh, cost: day.cost, devices: costs, other: Math.max(0, day.cost - attributed) };
+      })
+    };
+  }
+
+  async onUninit() {
+    if (this.tariffTimer) {
+      this.homey.clearTimeout(this.tariffTimer);
+    }
+    if (this.reconnectTimer) {
+      this.homey.clearTimeout(this.reconnectTimer);
+    }
+    if (this.ledger) {
+      this.ledger.flush();
+    }
+    for (const ledger of Object.values(this.meterLedgers || {})) {
+      ledger.flush();
     }
     this.log('Electricity Tariff app has been uninitialized');
   }
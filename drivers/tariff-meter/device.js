@@ -2,24 +2,45 @@
 
 const Homey = require('homey');
 
+// Export power (W) above which the home counts as exporting
+const EXPORT_THRESHOLD = 50;
+
 class TariffMeterDevice extends Homey.Device {
 
   async onInit() {
     this.log('Tariff Meter device has been initialized');
 
+    // The primary meter or a further one (see app.getMeters)
+    this.meterId = this.getData().id;
+
     // Initialize tracking variables
-    this.lastTariff = null;
     this.tariffChangesToday = 0;
-    this.lastResetDate = new Date().toDateString();
+    this.lastResetDate = this.homey.app.getDayKey();
+
+    // Capabilities added after the first release
+    for (const capability of [
+      'measure_power_unmeasured', 'cost_this_month', 'measure_power_export',
+      'export_earnings_today', 'cost_net_today', 'self_consumption_ratio',
+      'cost_billing_period', 'energy_billing_period'
+    ]) {
+      if (!this.hasCapability(capability)) {
+        await this.addCapability(capability).catch(this.error);
+      }
+    }
 
-    // Cost accumulation tracking
-    this.costToday = 0;
+    // Cost accumulation tracking, restored from the meter's persisted ledger
+    const ledger = this.homey.app?.getMeterLedger(this.meterId);
+    this.costToday = ledger ? ledger.getDay(new Date()).cost : 0;
     this.lastCostUpdate = Date.now();
     this.devicePowers = [];
 
     // Update tariff values immediately
     await this.updateTariffValues();
 
+    // The app announces each tariff change once, at the moment it happens
+    this.onTariffChanged = this.onTariffChanged.bind(this);
+    this.homey.app.on('tariffChanged', this.onTariffChanged);
+
     // Set up interval to update tariff values and cost every minute
     this.updateInterval = this.homey.setInterval(async () => {
       await this.updateTariffValues();
@@ -37,79 +58,152 @@ class TariffMeterDevice extends Homey.Device {
     }, 10000);
 
     // Listen for settings changes
-    this.homey.settings.on('set', async (key) => {
-      if (['dayRate', 'nightRate', 'seasons', 'currency'].includes(key)) {
-        this.log('Settings changed, updating tariff values');
-        await this.updateTariffValues();
-      }
-    });
+    this.onSettingsSet = this.onSettingsSet.bind(this);
+    this.homey.settings.on('set', this.onSettingsSet);
   }
 
-  getDevicesWithPower() {
+  async onSettingsSet(key) {
+    if (['seasons', 'holidays', 'currency', 'tariffProfiles', 'meters'].includes(key)) {
+      this.log('Settings changed, updating tariff values');
+      await this.updateTariffValues();
+    }
+  }
+
+  /**
+   * The tariff this meter bills with: its tariff profile or the app's.
+   */
+  getMeterTariff() {
+    return this.homey.app.getMeterTariff(this.meterId);
+  }
+
+  isPrimaryMeter() {
+    return this.homey.app.isPrimaryMeter(this.meterId);
+  }
+
+  getPowerBreakdown() {
     const app = this.homey.app;
-    if (app && app.apiReady && app.getPowerDevices) {
-      return app.getPowerDevices();
+    if (app && app.apiReady) {
+      return app.getPowerBreakdown(this.meterId);
     }
     if (app && !app.apiReady) {
       this.log('API not ready yet, no power devices available');
     }
-    return [];
+    return { total: 0, devices: [], unmeasured: 0 };
+  }
+
+  getBillingDevices() {
+    const app = this.homey.app;
+    return app && app.apiReady ? app.getBillingDevices(this.meterId) : [];
   }
 
   async updateCostTracking() {
     try {
       const now = Date.now();
       const timeDelta = (now - this.lastCostUpdate) / 1000 / 3600; // Hours since last update
-      const currentRate = this.getCurrentRate(this.getCurrentTariff(this.getCurrentSeason()));
+      const app = this.homey.app;
+      const tariff = this.getMeterTariff();
+      const band = tariff.getCurrentBand();
+      const currentRate = this.getCurrentRate();
 
-      // Get total power from all subscribed devices
-      const powerDevices = this.getDevicesWithPower();
-      let totalPower = 0;
+      // Total power comes from the main meter if one is selected, otherwise
+      // from the sum of the meter's consumers
+      const breakdown = this.getPowerBreakdown();
+      const totalPower = breakdown.total;
 
-      for (const device of powerDevices) {
-        if (device.power > 0) {
-          totalPower += device.power;
+      // Store device powers for alerts and top consumers
+      this.devicePowers = breakdown.devices;
+
+      // Energy and cost per device since last update (power in W, rate in
+      // EUR/kWh). In meter accounting mode devices with meter_power are billed
+      // from their kWh deltas; measure_power is only integrated for the rest.
+      const deviceUsage = app.apiReady ? app.takeUsage(timeDelta, band, this.meterId) : {};
+      const usage = { kwh: 0, cost: 0, bands: {} };
+      for (const device of this.getBillingDevices()) {
+        const billed = deviceUsage[device.id];
+        if (!billed) continue;
+
+        usage.kwh += billed.kwh;
+        usage.cost += billed.cost;
+        for (const [id, values] of Object.entries(billed.bands)) {
+          const bandUsage = usage.bands[id] || (usage.bands[id] = { kwh: 0, cost: 0 });
+          bandUsage.kwh += values.kwh;
+          bandUsage.cost += values.cost;
         }
       }
 
-      // Store device powers for alerts and top consumers
-      this.devicePowers = powerDevices.filter(d => d.power > 0).sort((a, b) => b.power - a.power);
-
-      // Calculate cost since last update (power in W, rate in EUR/kWh)
-      const costIncrement = (totalPower / 1000) * timeDelta * currentRate;
-
-      // Reset daily cost at midnight
-      const todayString = new Date().toDateString();
-      if (this.lastResetDate !== todayString) {
-        this.costToday = 0;
-        this.lastResetDate = todayString;
-        this.log('Daily cost reset');
+      // Consumers are attributed individually; the main meter is not a consumer
+      const consumerUsage = {};
+      for (const device of app.apiReady ? app.getPowerDevices(this.meterId) : []) {
+        if (deviceUsage[device.id]) consumerUsage[device.id] = deviceUsage[device.id];
       }
 
-      this.costToday += costIncrement;
+      // Grid export and solar production, at the home's connection only. A
+      // main meter measures export directly; without one, production first
+      // covers consumption and only the surplus is exported.
+      const atConnection = this.isPrimaryMeter();
+      const gridFlow = app.apiReady && atConnection
+        ? app.getGridFlow()
+        : { importPower: 0, exportPower: 0, productionPower: 0 };
+      const productionKwh = (gridFlow.productionPower / 1000) * timeDelta;
+      let exportKwh = (gridFlow.exportPower / 1000) * timeDelta;
+      if (atConnection && !app.getMainMeter()) {
+        const selfConsumed = Math.min(usage.kwh, productionKwh);
+        this.scaleUsage(usage, usage.kwh > 0 ? (usage.kwh - selfConsumed) / usage.kwh : 0);
+        exportKwh = productionKwh - selfConsumed;
+      }
+      const exported = { kwh: exportKwh, earnings: exportKwh * (band ? band.exportRate || 0 : 0) };
       this.lastCostUpdate = now;
 
-      // Calculate hourly cost (current power * rate)
-      const costPerHour = (totalPower / 1000) * currentRate;
-
-      // Calculate monthly estimate based on current daily cost projection
-      const nowDate = new Date();
-      const hoursToday = nowDate.getHours() + nowDate.getMinutes() / 60;
-      const dailyProjection = hoursToday > 0 ? (this.costToday / hoursToday) * 24 : 0;
-      const daysInMonth = new Date(nowDate.getFullYear(), nowDate.getMonth() + 1, 0).getDate();
-      const monthEstimate = dailyProjection * daysInMonth;
+      // Calculate hourly cost (current power * all-in price per kWh)
+      const costPerHour = (totalPower / 1000) * app.getUnitPrice(currentRate, tariff.getCharges());
+
+      // Record in the ledger; daily and monthly totals come from its buckets,
+      // keyed on Homey's local date, so they reset at local midnight by
+      // themselves and survive restarts
+      const nowDate = new Date(now);
+      app.recordUsage({
+        power: totalPower,
+        costPerHour,
+        kwh: usage.kwh,
+        cost: usage.cost,
+        band: band ? band.id : 'day',
+        bands: usage.bands,
+        devices: consumerUsage,
+        exported,
+        productionKwh,
+        hours: timeDelta
+      }, this.meterId);
+      const ledger = app.getMeterLedger(this.meterId);
+      const today = ledger.getDay(nowDate);
+      this.costToday = today.cost;
+      const monthToDate = ledger.getMonth(nowDate).cost;
+
+      // Share of today's solar production used in the home instead of exported
+      const selfConsumptionRatio = today.productionKwh > 0
+        ? Math.max(0, Math.min(100, (1 - today.export.kwh / today.productionKwh) * 100))
+        : 0;
+
+      const billing = app.getBillingForecast(nowDate, this.meterId);
 
       // Update capabilities
       await this.setCapabilityValue('measure_power', Math.round(totalPower)).catch(this.error);
       await this.setCapabilityValue('measure_power_total', Math.round(totalPower)).catch(this.error);
+      await this.setCapabilityValue('measure_power_unmeasured', Math.round(breakdown.unmeasured)).catch(this.error);
       await this.setCapabilityValue('cost_per_hour', costPerHour).catch(this.error);
       await this.setCapabilityValue('cost_today', this.costToday).catch(this.error);
-      await this.setCapabilityValue('cost_month_estimate', monthEstimate).catch(this.error);
-
-      // Record data point for widget chart
-      const app = this.homey.app;
-      if (app && app.recordHistory) {
-        app.recordHistory(totalPower, costPerHour, this.costToday);
+      await this.setCapabilityValue('cost_this_month', monthToDate).catch(this.error);
+      await this.setCapabilityValue('cost_billing_period', billing.cost).catch(this.error);
+      await this.setCapabilityValue('energy_billing_period', billing.kwh).catch(this.error);
+      await this.setCapabilityValue('cost_month_estimate', billing.forecast).catch(this.error);
+      await this.setCapabilityValue('measure_power_export', Math.round(gridFlow.exportPower)).catch(this.error);
+      await this.setCapabilityValue('export_earnings_today', today.export.earnings).catch(this.error);
+      await this.setCapabilityValue('cost_net_today', today.cost - today.export.earnings).catch(this.error);
+      await this.setCapabilityValue('self_consumption_ratio', selfConsumptionRatio).catch(this.error);
+
+      this.trackExportState(gridFlow.exportPower);
+      this.trackBudgetForecast(billing);
+      if (this.isPrimaryMeter()) {
+        app.publish('costUpdate', app.getCurrentStatus(nowDate));
       }
 
       if (totalPower > 0 || this.devicePowers.length > 0) {
@@ -124,62 +218,137 @@ class TariffMeterDevice extends Homey.Device {
     }
   }
 
-  async checkAlerts(costPerHour, costToday, currentRate) {
-    const app = this.homey.app;
-    if (!app) return;
-
-    // Trigger hourly cost threshold alert
-    if (costPerHour > 0 && app.costThresholdTrigger) {
-      const totalPower = this.devicePowers.reduce((sum, d) => sum + d.power, 0);
-      app.costThresholdTrigger.trigger({
-        cost_per_hour: costPerHour,
-        total_power: totalPower,
-        threshold: costPerHour
-      }).catch(err => this.error('Failed to trigger cost threshold:', err));
+  /**
+   * Scale a usage record ({ kwh, cost, bands }) in place by `factor`.
+   */
+  scaleUsage(usage, factor) {
+    usage.kwh *= factor;
+    usage.cost *= factor;
+    for (const values of Object.values(usage.bands)) {
+      values.kwh *= factor;
+      values.cost *= factor;
     }
+  }
 
-    // Trigger daily cost threshold alert
-    if (costToday > 0 && app.dailyCostTrigger) {
-      app.dailyCostTrigger.trigger({
-        cost_today: costToday,
-        threshold: costToday
-      }).catch(err => this.error('Failed to trigger daily cost:', err));
+  /**
+   * Fire the export started/stopped triggers when the home crosses the
+   * export threshold. A small threshold keeps meter noise around 0 W from
+   * toggling the state.
+   */
+  trackExportState(exportPower) {
+    const exporting = exportPower >= EXPORT_THRESHOLD;
+    if (this.exporting === undefined) {
+      this.exporting = exporting;
+      return;
     }
+    if (exporting === this.exporting) return;
 
-    // Check for high power devices
-    if (app.highPowerDeviceTrigger) {
-      for (const device of this.devicePowers) {
-        const deviceCostPerHour = (device.power / 1000) * currentRate;
-        app.highPowerDeviceTrigger.trigger({
-          device_name: device.name,
-          power: device.power,
-          cost_per_hour: deviceCostPerHour
-        }).catch(err => this.error('Failed to trigger high power device:', err));
-      }
+    this.exporting = exporting;
+    this.log(exporting ? `Started exporting (${Math.round(exportPower)}W)` : 'Stopped exporting');
+
+    const app = this.homey.app;
+    const trigger = exporting ? app.exportStartedTrigger : app.exportStoppedTrigger;
+    if (trigger) {
+      trigger.trigger({ export_power: Math.round(exportPower) }, { meter: this.meterId })
+        .catch(err => this.error('Failed to trigger export state change:', err));
     }
   }
 
-  async updateTariffValues() {
-    try {
-      const now = new Date();
-      const season = this.getCurrentSeason();
-      const tariff = this.getCurrentTariff(season);
-      const rate = this.getCurrentRate(tariff);
-      const minutesUntilChange = this.getMinutesUntilChange(season, tariff);
+  /**
+   * Fire the budget trigger with the forecast on every update; its run
+   * listener lets each flow through once per billing period, when the
+   * forecast first reaches its budget (see app.registerFlowCards).
+   */
+  trackBudgetForecast(billing) {
+    const app = this.homey.app;
+    if (app.budgetForecastTrigger) {
+      app.budgetForecastTrigger.trigger({
+        forecast: billing.forecast,
+        period_cost: billing.cost
+      }, {
+        meter: this.meterId,
+        period: billing.start,
+        forecast: billing.forecast,
+        timestamp: Date.now()
+      }).catch(err => this.error('Failed to trigger budget forecast:', err));
+    }
+  }
 
-      // Calculate peak hours remaining today
-      const peakHours = this.getPeakHoursRemaining(season);
-      const offpeakHours = this.getOffpeakHoursRemaining(season);
+  /**
+   * Fire the alert triggers with the current values on every update. Their
+   * run listeners (see app.registerAlertTrigger) only let a flow through
+   * when its threshold is crossed for this meter, so each alert fires once
+   * per crossing.
+   */
+  async checkAlerts(costPerHour, costToday, currentRate) {
+    const app = this.homey.app;
+    if (!app) return;
 
-      // Calculate daily average rate (weighted by hours)
-      const dailyAvgRate = this.getDailyAverageRate(season);
+    const timestamp = Date.now();
+    const trigger = (card, tokens, state) => {
+      if (!card) return;
+      card.trigger(tokens, { ...state, meter: this.meterId, timestamp })
+        .catch(err => this.error(`Failed to trigger ${card.id}:`, err));
+    };
+
+    // Hourly cost threshold alerts
+    const totalPower = app.getTotalPower(this.meterId);
+    const costTokens = {
+      cost_per_hour: costPerHour,
+      total_power: totalPower,
+      threshold: costPerHour
+    };
+    trigger(app.costThresholdTrigger, costTokens, { cost_per_hour: costPerHour });
+    trigger(app.costThresholdClearedTrigger, costTokens, { cost_per_hour: costPerHour });
+
+    // Daily cost threshold alerts, tracked per local day
+    const dailyTokens = {
+      cost_today: costToday,
+      threshold: costToday
+    };
+    const day = app.getDayKey();
+    trigger(app.dailyCostTrigger, dailyTokens, { cost_today: costToday, day });
+    trigger(app.dailyCostClearedTrigger, dailyTokens, { cost_today: costToday, day });
+
+    // High power alerts per device, including idle ones so they re-arm. Their
+    // cost per hour is all-in, as the meter's own
+    const unitPrice = app.getUnitPrice(currentRate, this.getMeterTariff().getCharges());
+    const devices = app.apiReady ? app.getPowerDevices(this.meterId) : this.devicePowers;
+    for (const device of devices) {
+      const power = device.power || 0;
+      const deviceTokens = {
+        device_name: device.name,
+        power,
+        cost_per_hour: (power / 1000) * unitPrice
+      };
+      const state = { device_id: device.id, name: device.name, power };
+      trigger(app.highPowerDeviceTrigger, deviceTokens, state);
+      trigger(app.highPowerDeviceClearedTrigger, deviceTokens, state);
+    }
+  }
 
-      // Track tariff changes
-      this.trackTariffChanges(tariff, now);
+  async updateTariffValues(now = new Date()) {
+    try {
+      const meterTariff = this.getMeterTariff();
+      const tariff = meterTariff.getTariff(now);
+      const season = meterTariff.getSeasonForDate(now);
+      const band = meterTariff.getBandAtDate(now);
+      const minutesUntilChange = tariff.nextChange
+        ? Math.ceil((tariff.nextChange.timestamp - now.getTime()) / 60000)
+        : 7 * 24 * 60;
+
+      // Today's schedule from the tariff engine, for the remaining peak and
+      // off-peak hours and the daily average rate
+      const segments = meterTariff.getTariffDay(now);
+      const peakHours = this.getPeakHoursRemaining(season, segments, now);
+      const offpeakHours = this.getOffpeakHoursRemaining(season, segments, now);
+      const dailyAvgRate = this.getDailyAverageRate(segments);
+
+      this.resetDailyCounters(now);
 
       // Update tariff capabilities
-      await this.setCapabilityValue('tariff_type', tariff).catch(this.error);
-      await this.setCapabilityValue('measure_price', rate).catch(this.error);
+      await this.setCapabilityValue('tariff_type', band?.name || 'Unknown').catch(this.error);
+      await this.setCapabilityValue('measure_price', tariff.rate).catch(this.error);
       await this.setCapabilityValue('season_name', season?.name || 'Unknown').catch(this.error);
       await this.setCapabilityValue('minutes_until_change', minutesUntilChange).catch(this.error);
       await this.setCapabilityValue('peak_hours_today', peakHours).catch(this.error);
@@ -187,166 +356,87 @@ class TariffMeterDevice extends Homey.Device {
       await this.setCapabilityValue('daily_avg_rate', dailyAvgRate).catch(this.error);
       await this.setCapabilityValue('tariff_changes_today', this.tariffChangesToday).catch(this.error);
 
-      this.log(`Updated: ${season?.name}, ${tariff}, ${rate} EUR/kWh, peak: ${peakHours.toFixed(1)}h, offpeak: ${offpeakHours.toFixed(1)}h`);
+      this.log(`Updated: ${season?.name}, ${band?.name}, ${tariff.rate} EUR/kWh, peak: ${peakHours.toFixed(1)}h, offpeak: ${offpeakHours.toFixed(1)}h`);
     } catch (error) {
       this.error('Failed to update tariff values:', error);
     }
   }
 
-  trackTariffChanges(currentTariff, now) {
-    // Reset counter at midnight
-    const todayString = now.toDateString();
-    if (this.lastResetDate !== todayString) {
+  resetDailyCounters(now) {
+    // Reset counter at local midnight
+    const today = this.homey.app.getDayKey(now);
+    if (this.lastResetDate !== today) {
       this.tariffChangesToday = 0;
-      this.lastResetDate = todayString;
-    }
-
-    // Track tariff changes and trigger flow
-    if (this.lastTariff !== null && this.lastTariff !== currentTariff) {
-      this.tariffChangesToday++;
-      this.log(`Tariff changed from ${this.lastTariff} to ${currentTariff}`);
-
-      // Trigger flow card
-      const app = this.homey.app;
-      if (app && app.tariffChangedTrigger) {
-        app.tariffChangedTrigger.trigger({
-          previous_tariff: this.lastTariff,
-          new_tariff: currentTariff,
-          rate: this.getCurrentRate(currentTariff)
-        }).catch(err => this.error('Failed to trigger tariff change:', err));
-      }
+      this.lastResetDate = today;
     }
-    this.lastTariff = currentTariff;
   }
 
-  getPeakHoursRemaining(season) {
-    if (!season) return 0;
-
-    const now = new Date();
-    const currentTotalMinutes = now.getHours() * 60 + now.getMinutes();
-
-    const [dayStartHour, dayStartMinute] = (season.dayStart || '06:00').split(':').map(Number);
-    const [dayEndHour, dayEndMinute] = (season.dayEnd || '22:00').split(':').map(Number);
-
-    const dayStartTotalMinutes = dayStartHour * 60 + dayStartMinute;
-    const dayEndTotalMinutes = dayEndHour * 60 + dayEndMinute;
-
-    if (currentTotalMinutes < dayStartTotalMinutes) {
-      return (dayEndTotalMinutes - dayStartTotalMinutes) / 60;
-    } else if (currentTotalMinutes < dayEndTotalMinutes) {
-      return (dayEndTotalMinutes - currentTotalMinutes) / 60;
-    } else {
-      return 0;
+  /**
+   * Count band changes (not rate changes within a band) and refresh the
+   * tariff capabilities right away. The flow trigger is fired by the app.
+   * Changes of the app's tariff come without a meter and only concern
+   * meters that bill with it.
+   */
+  async onTariffChanged(change) {
+    if (change.meter ? change.meter !== this.meterId : this.getMeterTariff() !== this.homey.app) return;
+
+    const now = new Date(change.timestamp);
+    this.resetDailyCounters(now);
+    if (change.previousTariff !== change.tariff) {
+      this.tariffChangesToday++;
+      this.log(`Tariff changed from ${change.previousTariff} to ${change.tariff}`);
     }
+    await this.updateTariffValues(now);
   }
 
-  getOffpeakHoursRemaining(season) {
-    if (!season) return 0;
-
-    const now = new Date();
-    const currentTotalMinutes = now.getHours() * 60 + now.getMinutes();
-
-    const [dayStartHour, dayStartMinute] = (season.dayStart || '06:00').split(':').map(Number);
-    const [dayEndHour, dayEndMinute] = (season.dayEnd || '22:00').split(':').map(Number);
-
-    const dayStartTotalMinutes = dayStartHour * 60 + dayStartMinute;
-    const dayEndTotalMinutes = dayEndHour * 60 + dayEndMinute;
-    const midnightMinutes = 24 * 60;
-
-    const eveningOffpeak = midnightMinutes - dayEndTotalMinutes;
-
-    if (currentTotalMinutes < dayStartTotalMinutes) {
-      const remainingMorning = (dayStartTotalMinutes - currentTotalMinutes) / 60;
-      return remainingMorning + (eveningOffpeak / 60);
-    } else if (currentTotalMinutes < dayEndTotalMinutes) {
-      return eveningOffpeak / 60;
-    } else {
-      return (midnightMinutes - currentTotalMinutes) / 60;
-    }
+  /**
+   * Most and least expensive bands of a season. With two bands these are
+   * simply day and night; shoulder bands count as neither peak nor off-peak.
+   */
+  getPeakAndOffpeakBands(season) {
+    const bands = [...(season?.bands || [])].sort((a, b) => b.rate - a.rate);
+    return { peak: bands[0] || null, offpeak: bands[bands.length - 1] || null };
   }
 
-  getDailyAverageRate(season) {
-    if (!season) return 0;
+  /**
+   * Minutes from `now` to the end of the day during which `band` is in force.
+   */
+  getBandMinutesRemaining(segments, band, now) {
+    if (!band) return 0;
 
-    const dayRate = this.homey.settings.get('dayRate') || 0.12;
-    const nightRate = this.homey.settings.get('nightRate') || 0.06;
-
-    const [dayStartHour, dayStartMinute] = (season.dayStart || '06:00').split(':').map(Number);
-    const [dayEndHour, dayEndMinute] = (season.dayEnd || '22:00').split(':').map(Number);
-
-    const peakMinutes = (dayEndHour * 60 + dayEndMinute) - (dayStartHour * 60 + dayStartMinute);
-    const offpeakMinutes = (24 * 60) - peakMinutes;
-
-    return (peakMinutes * dayRate + offpeakMinutes * nightRate) / (24 * 60);
+    return segments
+      .filter(segment => segment.band === band.id)
+      .reduce((sum, segment) => sum + Math.max(0, segment.end - Math.max(segment.start, now.getTime())), 0) / 60000;
   }
 
-  getCurrentSeason() {
-    const now = new Date();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-    const seasons = this.homey.settings.get('seasons') || [];
-
-    for (const season of seasons) {
-      if (this.isDateInSeason(month, day, season)) {
-        return season;
-      }
-    }
+  getPeakHoursRemaining(season, segments, now) {
+    const { peak, offpeak } = this.getPeakAndOffpeakBands(season);
+    if (!peak || peak === offpeak) return 0;
 
-    return seasons[0] || null;
+    return this.getBandMinutesRemaining(segments, peak, now) / 60;
   }
 
-  isDateInSeason(month, day, season) {
-    const { startMonth, startDay, endMonth, endDay } = season;
-
-    if (startMonth > endMonth) {
-      return (month > startMonth || (month === startMonth && day >= startDay)) ||
-             (month < endMonth || (month === endMonth && day <= endDay));
-    } else {
-      return (month > startMonth || (month === startMonth && day >= startDay)) &&
-             (month < endMonth || (month === endMonth && day <= endDay));
-    }
+  getOffpeakHoursRemaining(season, segments, now) {
+    const { offpeak } = this.getPeakAndOffpeakBands(season);
+    return this.getBandMinutesRemaining(segments, offpeak, now) / 60;
   }
 
-  getCurrentTariff(season) {
-    if (!season) return 'day';
-
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-
-    if (currentTime >= (season.dayStart || '06:00') && currentTime < (season.dayEnd || '22:00')) {
-      return 'day';
-    }
-    return 'night';
-  }
+  /**
+   * Time-weighted average rate over the whole day.
+   */
+  getDailyAverageRate(segments) {
+    if (segments.length === 0) return 0;
 
-  getCurrentRate(tariff) {
-    if (tariff === 'day') {
-      return this.homey.settings.get('dayRate') || 0.12;
-    }
-    return this.homey.settings.get('nightRate') || 0.06;
+    const dayLength = segments[segments.length - 1].end - segments[0].start;
+    return segments.reduce((sum, segment) => sum + segment.rate * (segment.end - segment.start), 0) / dayLength;
   }
 
-  getMinutesUntilChange(season, currentTariff) {
-    if (!season) return 0;
-
-    const now = new Date();
-    const currentTotalMinutes = now.getHours() * 60 + now.getMinutes();
-
-    const [dayStartHour, dayStartMinute] = (season.dayStart || '06:00').split(':').map(Number);
-    const [dayEndHour, dayEndMinute] = (season.dayEnd || '22:00').split(':').map(Number);
-
-    const dayStartTotalMinutes = dayStartHour * 60 + dayStartMinute;
-    const dayEndTotalMinutes = dayEndHour * 60 + dayEndMinute;
-
-    if (currentTariff === 'day') {
-      return dayEndTotalMinutes - currentTotalMinutes;
-    } else {
-      if (currentTotalMinutes >= dayEndTotalMinutes) {
-        return (24 * 60 - currentTotalMinutes) + dayStartTotalMinutes;
-      } else {
-        return dayStartTotalMinutes - currentTotalMinutes;
-      }
-    }
+  /**
+   * Rate from the app's active price provider, which may differ from the
+   * band's own rate, or from the meter's tariff profile.
+   */
+  getCurrentRate() {
+    return this.homey.app ? this.getMeterTariff().getCurrentRate() : 0.12;
   }
 
   getTopConsumers(limit = 5) {
@@ -357,6 +447,9 @@ class TariffMeterDevice extends Homey.Device {
     if (this.updateInterval) {
       this.homey.clearInterval(this.updateInterval);
     }
+    this.homey.app.removeListener('tariffChanged', this.onTariffChanged);
+    this.homey.settings.removeListener('set', this.onSettingsSet);
+    this.homey.app.removeMeter(this.meterId);
     this.log('Tariff Meter device has been deleted');
   }
 
@@ -9,15 +9,10 @@ class TariffMeterDriver extends Homey.Driver {
   }
 
   async onPairListDevices() {
-    // Return a single virtual device for pairing
-    return [
-      {
-        name: 'Electricity Tariff',
-        data: {
-          id: 'energy-tariff-meter'
-        }
-      }
-    ];
+    // One virtual device per pairing: the primary meter first, then further
+    // meters with a tariff and devices of their own (set in the app settings)
+    const pairedIds = this.getDevices().map(device => device.getData().id);
+    return [this.homey.app.getNewMeter(pairedIds)];
   }
 
 }
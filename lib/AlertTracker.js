@@ -0,0 +1,96 @@
+'use strict';
+
+// States not evaluated for this long belong to deleted flows, changed
+// arguments, removed devices or past days and are dropped
+const STATE_TTL = 2 * 24 * 3600 * 1000;
+
+/**
+ * Edge-triggered alerts with hysteresis. Alert triggers are fired with the
+ * current value on every cost update; their run listeners ask the tracker
+ * whether this flow should run, so each flow fires once per crossing.
+ *
+ * State is kept per key: the trigger card, the flow's arguments and the
+ * subject (a device id, a day). Homey does not tell run listeners which
+ * flow they run for, so flows with identical arguments share a state; a
+ * decision is therefore remembered per evaluation (`now`) and every such
+ * flow gets the same answer. States live in memory only, so an alert that
+ * still holds fires once more after the app restarts.
+ */
+class AlertTracker {
+
+  constructor() {
+    this.states = new Map();
+  }
+
+  /**
+   * Whether a rising alert fires: `value` reached `threshold` while armed.
+   * Firing disarms it until the value drops below `reset` (at most the
+   * threshold, the threshold itself by default) or, with a `cooldown` in ms,
+   * until that long after it fired. `onFire` is called once when it fires,
+   * however many flows share the state.
+   */
+  exceeded(key, value, { threshold, reset = threshold, cooldown = 0 }, now = Date.now(), onFire = null) {
+    return this.evaluate(key, now, onFire, state => {
+      if (!state.armed) {
+        const cooledDown = cooldown > 0 && now - state.firedAt >= cooldown;
+        if (value < Math.min(reset, threshold) || cooledDown) state.armed = true;
+      }
+      if (state.armed && value >= threshold) {
+        state.armed = false;
+        state.firedAt = now;
+        return true;
+      }
+      return false;
+    });
+  }
+
+  /**
+   * Whether a "back below" alert fires: `value` dropped below `reset` (the
+   * threshold by default) after having reached `threshold`. `onFire` as
+   * for exceeded().
+   */
+  cleared(key, value, { threshold, reset = threshold }, now = Date.now(), onFire = null) {
+    return this.evaluate(key, now, onFire, state => {
+      if (value >= threshold) {
+        state.above = true;
+        return false;
+      }
+      if (state.above && value < Math.min(reset, threshold)) {
+        state.above = false;
+        return true;
+      }
+      return false;
+    });
+  }
+
+  evaluate(key, now, onFire, decide) {
+    let state = this.states.get(key);
+    if (state && state.evaluatedAt === now) return state.result;
+
+    if (!state) {
+      state = { armed: true, above: false, firedAt: 0 };
+      this.states.set(key, state);
+    }
+    state.result = decide(state);
+    state.evaluatedAt = now;
+    this.prune(now);
+
+    if (state.result && onFire) onFire();
+    return state.result;
+  }
+
+  prune(now) {
+    for (const [key, state] of this.states) {
+      if (now - state.evaluatedAt > STATE_TTL) this.states.delete(key);
+    }
+  }
+
+  /**
+   * Key for a trigger card, the arguments of a flow and a subject.
+   */
+  static key(cardId, args, subject = '') {
+    return `${cardId}:${JSON.stringify(args)}:${subject}`;
+  }
+}
+
+module.exports = AlertTracker;
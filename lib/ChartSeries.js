@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Downsampling for the energy chart widget. Points are
+ * { t, power, costH, kwh, cost } with `t` in ms; a downsampled point
+ * covers [t, end) and averages power (W) and cost per hour over the points
+ * in it while adding up kWh and cost.
+ */
+
+// Enough for a smooth line on a widget a few hundred pixels wide
+const MAX_POINTS = 144;
+
+/**
+ * Bucket length for showing `from` to `to` in at most `maxPoints`
+ * buckets, a whole multiple of `unit` (ms).
+ */
+function getBucketSize(from, to, unit, maxPoints = MAX_POINTS) {
+  return Math.max(1, Math.ceil((to - from) / maxPoints / unit)) * unit;
+}
+
+/**
+ * Start of every bucket between `from` and `to`.
+ */
+function getBucketStarts(from, to, size) {
+  const starts = [];
+  for (let t = from; t < to; t += size) {
+    starts.push(t);
+  }
+  return starts;
+}
+
+/**
+ * Merge the points between `from` and `to` into buckets of `size` ms.
+ * Buckets without points are left out, so gaps in the data stay visible.
+ */
+function downsample(points, from, to, size) {
+  const buckets = new Map();
+
+  for (const point of points) {
+    if (point.t < from || point.t >= to) continue;
+
+    const index = Math.floor((point.t - from) / size);
+    let bucket = buckets.get(index);
+    if (!bucket) {
+      const t = from + index * size;
+      bucket = { t, end: Math.min(t + size, to), power: 0, costH: 0, kwh: 0, cost: 0, count: 0 };
+      buckets.set(index, bucket);
+    }
+    bucket.power += point.power;
+    bucket.costH += point.costH;
+    bucket.kwh += point.kwh;
+    bucket.cost += point.cost;
+    bucket.count++;
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => a.t - b.t)
+    .map(({ count, ...bucket }) => ({ ...bucket, power: bucket.power / count, costH: bucket.costH / count }));
+}
+
+/**
+ * Join consecutive { start, end, band, bandName, rate } spans with the same
+ * band and rate.
+ */
+function mergeSpans(spans) {
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && last.band === span.band && last.rate === span.rate && last.end === span.start) {
+      last.end = span.end;
+    } else {
+      merged.push({ ...span });
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  MAX_POINTS,
+  getBucketSize,
+  getBucketStarts,
+  downsample,
+  mergeSpans
+};
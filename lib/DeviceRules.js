@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Rules picking which devices count toward consumption:
+ *
+ *   { include: [{ type, value }], exclude: [{ type, value }] }
+ *
+ * `type` is 'id', 'zone' (zone id), 'class' (device class) or 'driver'
+ * (a driver id such as 'homey:app:com.fibaro:FGWPx-102', or just the app
+ * part, e.g. 'com.fibaro'). Without include rules every device is
+ * included; exclude rules win over include rules.
+ *
+ * Devices are { id, zone, class, driverId } as kept by the app.
+ */
+
+const RULE_TYPES = ['id', 'zone', 'class', 'driver'];
+
+function emptyRules() {
+  return { include: [], exclude: [] };
+}
+
+function matches(rule, device) {
+  switch (rule.type) {
+    case 'id':
+      return device.id === rule.value;
+    case 'zone':
+      return device.zone === rule.value;
+    case 'class':
+      return device.class === rule.value;
+    case 'driver': {
+      const driverId = device.driverId || '';
+      return driverId === rule.value
+        || driverId.startsWith(`${rule.value}:`)
+        || driverId.includes(`:${rule.value}:`);
+    }
+    default:
+      return false;
+  }
+}
+
+function isIncluded(device, rules = emptyRules()) {
+  const include = rules.include || [];
+  if (include.length > 0 && !include.some(rule => matches(rule, device))) return false;
+  return !(rules.exclude || []).some(rule => matches(rule, device));
+}
+
+/**
+ * Check rules as sent to PUT /devices. Returns { rules, errors } with
+ * errors as { field, message }, e.g. field 'rules.exclude[1].type'.
+ */
+function validate(body) {
+  const errors = [];
+  const rules = emptyRules();
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    errors.push({ field: 'rules', message: 'Must be { include, exclude }' });
+    return { rules, errors };
+  }
+
+  for (const list of ['include', 'exclude']) {
+    const value = body[list] === undefined || body[list] === null ? [] : body[list];
+    if (!Array.isArray(value)) {
+      errors.push({ field: `rules.${list}`, message: 'Must be a list' });
+      continue;
+    }
+
+    value.forEach((rule, index) => {
+      const field = `rules.${list}[${index}]`;
+      if (!rule || !RULE_TYPES.includes(rule.type)) {
+        errors.push({ field: `${field}.type`, message: `Must be one of ${RULE_TYPES.join(', ')}` });
+      } else if (typeof rule.value !== 'string' || rule.value.trim() === '') {
+        errors.push({ field: `${field}.value`, message: 'Required' });
+      } else {
+        rules[list].push({ type: rule.type, value: rule.value.trim() });
+      }
+    });
+  }
+
+  return { rules, errors };
+}
+
+module.exports = {
+  RULE_TYPES,
+  emptyRules,
+  matches,
+  isIncluded,
+  validate
+};
@@ -0,0 +1,616 @@
+'use strict';
+
+const TariffEngine = require('./TariffEngine');
+
+const SETTINGS_KEY = 'energyLedger';
+
+// Retention per resolution
+const MAX_MINUTE_SAMPLES = 360; // 6 hours at 1-minute intervals; hourly buckets go further back
+const MAX_HOURLY_BUCKETS = 24 * 62; // ~2 months
+const MAX_DAILY_BUCKETS = 400; // Over a year, so month-on-month comparisons work
+const MAX_DEVICE_DAILY_BUCKETS = 62; // Per device, kept shorter to bound storage
+const MAX_DEVICE_MONTHLY_BUCKETS = 24;
+
+// A day counts towards usage profiles only with (nearly) all its hours
+// recorded; 23 allows for the short day of a DST change
+const MIN_PROFILE_DAY_HOURS = 23;
+
+// Persisting on every sample would write to flash once a minute
+const SAVE_INTERVAL = 5 * 60 * 1000;
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function emptyBucket() {
+  return { kwh: 0, cost: 0, bands: {} };
+}
+
+const CHARGE_COMPONENTS = ['network', 'excise', 'standing', 'vat'];
+
+/**
+ * Add up buckets. The result always has the export and production fields,
+ * even when the buckets themselves (device buckets, older data) do not.
+ * `components` splits the cost into energy and the charges on top of it;
+ * energy is whatever the charges do not account for, so cost recorded
+ * before charges were tracked counts as energy.
+ */
+function sumBuckets(buckets) {
+  const total = {
+    ...emptyBucket(),
+    components: { energy: 0, network: 0, excise: 0, standing: 0, vat: 0 },
+    export: { kwh: 0, earnings: 0, bands: {} },
+    productionKwh: 0
+  };
+
+  for (const bucket of buckets) {
+    total.kwh += bucket.kwh;
+    total.cost += bucket.cost;
+    total.productionKwh += bucket.productionKwh || 0;
+
+    let charged = 0;
+    for (const component of CHARGE_COMPONENTS) {
+      const amount = (bucket.charges && bucket.charges[component]) || 0;
+      total.components[component] += amount;
+      charged += amount;
+    }
+    total.components.energy += bucket.cost - charged;
+
+    if (bucket.export) {
+      total.export.kwh += bucket.export.kwh;
+      total.export.earnings += bucket.export.earnings;
+      for (const [band, values] of Object.entries(bucket.export.bands)) {
+        const bandTotal = total.export.bands[band] || (total.export.bands[band] = { kwh: 0, earnings: 0 });
+        bandTotal.kwh += values.kwh;
+        bandTotal.earnings += values.earnings;
+      }
+    }
+
+    for (const [band, values] of Object.entries(bucket.bands)) {
+      const bandTotal = total.bands[band] || (total.bands[band] = { kwh: 0, cost: 0 });
+      bandTotal.kwh += values.kwh;
+      bandTotal.cost += values.cost;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Persisted record of consumed energy and its cost. Per-minute samples are
+ * rolled up into hourly and daily buckets, each split by tariff band:
+ *
+ *   { kwh, cost, bands: { [bandId]: { kwh, cost } } }
+ *
+ * Costs are all-in. What the network fee, excise, standing charge and VAT
+ * added to them is kept alongside:
+ *
+ *   charges: { network, excise, standing, vat }
+ *
+ * Hourly and daily buckets also carry grid export and solar production:
+ *
+ *   export: { kwh, earnings, bands: { [bandId]: { kwh, earnings } } },
+ *   productionKwh
+ *
+ * Hourly buckets are keyed 'YYYY-MM-DDTHH', daily buckets 'YYYY-MM-DD'.
+ * Each tracked device also gets daily and monthly ('YYYY-MM') buckets, so
+ * cost can be attributed per device. Keys are local time in the timezone
+ * returned by `getTimezone`, so days start at the user's midnight.
+ *
+ * Each ledger is stored in settings named after its `key` (further tariff
+ * meters keep theirs next to the main one), split into parts so a save
+ * only rewrites what changed: `<key>.minutes`, `<key>.days`,
+ * `<key>.devices` (names and monthly buckets) and, per local day,
+ * `<key>.hours.<YYYY-MM-DD>` and `<key>.devices.<YYYY-MM-DD>`.
+ */
+class EnergyLedger {
+
+  constructor({ homey, log = () => {}, getTimezone = () => null, key = SETTINGS_KEY }) {
+    this.homey = homey;
+    this.key = key;
+    this.log = log;
+    this.getTimezone = getTimezone;
+    this.minutes = [];
+    this.hours = {};
+    this.days = {};
+    this.devices = {};
+    this.dirtyParts = new Set();
+    this.storedParts = new Set();
+    this.lastSave = 0;
+  }
+
+  static dayKey(date, timezone = null) {
+    return TariffEngine.getDayKey(date.getTime(), timezone);
+  }
+
+  static hourKey(date, timezone = null) {
+    const local = TariffEngine.getLocalTime(date.getTime(), timezone);
+    return `${EnergyLedger.dayKey(date, timezone)}T${pad(local.hour)}`;
+  }
+
+  static monthKey(date, timezone = null) {
+    return EnergyLedger.dayKey(date, timezone).slice(0, 7);
+  }
+
+  /**
+   * Timestamp starting the local hour or day of an hourly or daily key.
+   */
+  static keyStart(key, timezone = null) {
+    const [year, month, day, hour = 0] = key.split(/[-T]/).map(Number);
+    return TariffEngine.getLocalTimestamp(year, month, day, hour, 0, timezone);
+  }
+
+  /**
+   * Remove all settings of the ledger stored under `key`.
+   */
+  static remove(homey, key) {
+    for (const settingKey of homey.settings.getKeys()) {
+      if (settingKey === key || settingKey.startsWith(`${key}.`)) {
+        homey.settings.unset(settingKey);
+      }
+    }
+  }
+
+  load() {
+    const legacy = this.homey.settings.get(this.key);
+    if (legacy) {
+      // Ledgers used to be stored whole in one setting
+      this.minutes = legacy.minutes || [];
+      this.hours = legacy.hours || {};
+      this.days = legacy.days || {};
+      this.devices = legacy.devices || {};
+      this.prune();
+      this.save();
+      this.homey.settings.unset(this.key);
+    } else {
+      this.loadParts();
+    }
+
+    if (Object.keys(this.days).length || this.minutes.length) {
+      this.log(`Energy ledger restored: ${Object.keys(this.days).length} days, ${this.minutes.length} samples`);
+    }
+  }
+
+  loadParts() {
+    const prefix = `${this.key}.`;
+    const getDevice = deviceId => this.devices[deviceId] || (this.devices[deviceId] = { name: deviceId, days: {}, months: {} });
+
+    for (const settingKey of this.homey.settings.getKeys()) {
+      if (!settingKey.startsWith(prefix)) continue;
+
+      const part = settingKey.slice(prefix.length);
+      const data = this.homey.settings.get(settingKey);
+      if (!data) continue;
+
+      this.storedParts.add(part);
+      if (part === 'minutes') {
+        this.minutes = data;
+      } else if (part === 'days') {
+        this.days = data;
+      } else if (part === 'devices') {
+        for (const [deviceId, { name, months }] of Object.entries(data)) {
+          Object.assign(getDevice(deviceId), { name, months });
+        }
+      } else if (part.startsWith('hours.')) {
+        Object.assign(this.hours, data);
+      } else if (part.startsWith('devices.')) {
+        const dayKey = part.slice('devices.'.length);
+        for (const [deviceId, bucket] of Object.entries(data)) {
+          getDevice(deviceId).days[dayKey] = bucket;
+        }
+      }
+    }
+  }
+
+  /**
+   * The ledger split into the parts it is stored in, by part name.
+   */
+  getParts() {
+    const parts = { minutes: this.minutes, days: this.days, devices: {} };
+
+    for (const [hourKey, bucket] of Object.entries(this.hours)) {
+      const part = `hours.${hourKey.slice(0, 10)}`;
+      (parts[part] || (parts[part] = {}))[hourKey] = bucket;
+    }
+    for (const [deviceId, device] of Object.entries(this.devices)) {
+      parts.devices[deviceId] = { name: device.name, months: device.months };
+      for (const [dayKey, bucket] of Object.entries(device.days)) {
+        const part = `devices.${dayKey}`;
+        (parts[part] || (parts[part] = {}))[deviceId] = bucket;
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Write the parts changed since the last save, or not stored yet, and
+   * remove the stored parts that were pruned entirely.
+   */
+  save() {
+    const parts = this.getParts();
+
+    for (const part of this.storedParts) {
+      if (!parts[part]) this.homey.settings.unset(`${this.key}.${part}`);
+    }
+    for (const [part, data] of Object.entries(parts)) {
+      if (this.dirtyParts.has(part) || !this.storedParts.has(part)) {
+        this.homey.settings.set(`${this.key}.${part}`, data);
+      }
+    }
+
+    this.storedParts = new Set(Object.keys(parts));
+    this.dirtyParts.clear();
+    this.lastSave = Date.now();
+  }
+
+  /**
+   * Persist pending samples unless the last save was recent.
+   */
+  saveIfNeeded() {
+    if (this.dirtyParts.size && Date.now() - this.lastSave >= SAVE_INTERVAL) {
+      this.save();
+    }
+  }
+
+  flush() {
+    if (this.dirtyParts.size) {
+      this.save();
+    }
+  }
+
+  /**
+   * Add one sample. `kwh` and `cost` are the increments since the previous
+   * sample and `bands` splits them by tariff band id ({ [id]: { kwh, cost } }).
+   * `band` is the band in force at the time of the sample. `devices` holds
+   * the per-device share as { [deviceId]: { name, bands, charges } }.
+   * `exported` ({ kwh, earnings }) is energy fed into the grid at the
+   * current band's feed-in rate, `productionKwh` the solar energy produced.
+   * `fixedCost` is the standing charge accrued since the previous sample;
+   * it adds to the cost but not to any band. `charges` is what each charge
+   * contributed to `cost` plus `fixedCost`.
+   */
+  record({
+    timestamp = Date.now(), power, costPerHour, kwh, cost, band, bands, devices = {},
+    exported = { kwh: 0, earnings: 0 }, productionKwh = 0, fixedCost = 0, charges = null
+  }) {
+    const date = new Date(timestamp);
+    const timezone = this.getTimezone();
+    const split = bands || { [band]: { kwh, cost } };
+
+    const dayKey = EnergyLedger.dayKey(date, timezone);
+    for (const [buckets, key] of [[this.hours, EnergyLedger.hourKey(date, timezone)], [this.days, dayKey]]) {
+      this.addToBucket(buckets, key, split);
+      this.addCharges(buckets[key], charges, fixedCost);
+      this.addExport(buckets[key], band, exported, productionKwh);
+    }
+    this.markDirty('minutes', 'days', `hours.${dayKey}`);
+
+    for (const [deviceId, usage] of Object.entries(devices)) {
+      const device = this.devices[deviceId] || (this.devices[deviceId] = { name: usage.name, days: {}, months: {} });
+      device.name = usage.name;
+      for (const [buckets, key] of [[device.days, dayKey], [device.months, EnergyLedger.monthKey(date, timezone)]]) {
+        this.addToBucket(buckets, key, usage.bands);
+        this.addCharges(buckets[key], usage.charges, 0);
+      }
+      this.markDirty('devices', `devices.${dayKey}`);
+    }
+
+    this.minutes.push({
+      t: timestamp,
+      power,
+      costH: costPerHour,
+      costDay: this.getDay(date).cost,
+      band,
+      kwh,
+      cost: cost + fixedCost
+    });
+
+    this.prune();
+    this.saveIfNeeded();
+  }
+
+  markDirty(...parts) {
+    for (const part of parts) {
+      this.dirtyParts.add(part);
+    }
+  }
+
+  addToBucket(buckets, key, split) {
+    const bucket = buckets[key] || (buckets[key] = emptyBucket());
+
+    for (const [band, values] of Object.entries(split)) {
+      bucket.kwh += values.kwh;
+      bucket.cost += values.cost;
+
+      const bandBucket = bucket.bands[band] || (bucket.bands[band] = { kwh: 0, cost: 0 });
+      bandBucket.kwh += values.kwh;
+      bandBucket.cost += values.cost;
+    }
+  }
+
+  addCharges(bucket, charges, fixedCost) {
+    bucket.cost += fixedCost;
+    if (!charges) return;
+
+    const totals = bucket.charges || (bucket.charges = { network: 0, excise: 0, standing: 0, vat: 0 });
+    for (const component of CHARGE_COMPONENTS) {
+      totals[component] += charges[component] || 0;
+    }
+  }
+
+  addExport(bucket, band, exported, productionKwh) {
+    const totals = bucket.export || (bucket.export = { kwh: 0, earnings: 0, bands: {} });
+    totals.kwh += exported.kwh;
+    totals.earnings += exported.earnings;
+
+    if (exported.kwh > 0) {
+      const bandTotals = totals.bands[band] || (totals.bands[band] = { kwh: 0, earnings: 0 });
+      bandTotals.kwh += exported.kwh;
+      bandTotals.earnings += exported.earnings;
+    }
+
+    bucket.productionKwh = (bucket.productionKwh || 0) + productionKwh;
+  }
+
+  prune() {
+    if (this.minutes.length > MAX_MINUTE_SAMPLES) {
+      this.minutes = this.minutes.slice(-MAX_MINUTE_SAMPLES);
+    }
+    this.hours = this.keepLatest(this.hours, MAX_HOURLY_BUCKETS, key => `hours.${key.slice(0, 10)}`);
+    this.days = this.keepLatest(this.days, MAX_DAILY_BUCKETS, () => 'days');
+
+    for (const device of Object.values(this.devices)) {
+      device.days = this.keepLatest(device.days, MAX_DEVICE_DAILY_BUCKETS, key => `devices.${key}`);
+      device.months = this.keepLatest(device.months, MAX_DEVICE_MONTHLY_BUCKETS, () => 'devices');
+    }
+  }
+
+  /**
+   * The `max` latest of `buckets`. The stored parts (named by `partOf` the
+   * bucket key) that lose buckets are marked for saving.
+   */
+  keepLatest(buckets, max, partOf) {
+    const keys = Object.keys(buckets);
+    if (keys.length <= max) return buckets;
+
+    // Keys are zero-padded dates, so lexical order is chronological
+    keys.sort();
+    const kept = {};
+    for (const key of keys.slice(-max)) {
+      kept[key] = buckets[key];
+    }
+    for (const key of keys.slice(0, -max)) {
+      this.markDirty(partOf(key));
+    }
+    return kept;
+  }
+
+  getSamples() {
+    return this.minutes;
+  }
+
+  getDay(date) {
+    const day = this.days[EnergyLedger.dayKey(date, this.getTimezone())];
+    return sumBuckets(day ? [day] : []);
+  }
+
+  getHour(date) {
+    const hour = this.hours[EnergyLedger.hourKey(date, this.getTimezone())];
+    return sumBuckets(hour ? [hour] : []);
+  }
+
+  /**
+   * Daily buckets with keys in [fromKey, toKey], both 'YYYY-MM-DD'.
+   */
+  getDays(fromKey, toKey) {
+    return Object.keys(this.days)
+      .filter(key => key >= fromKey && key <= toKey)
+      .sort()
+      .map(key => ({ date: key, ...this.days[key] }));
+  }
+
+  /**
+   * Hourly buckets of the days in [fromKey, toKey], as { hour, ...bucket }
+   * with `hour` the 'YYYY-MM-DDTHH' key.
+   */
+  getHours(fromKey, toKey) {
+    return Object.keys(this.hours)
+      .filter(key => key.slice(0, 10) >= fromKey && key.slice(0, 10) <= toKey)
+      .sort()
+      .map(key => ({ hour: key, ...this.hours[key] }));
+  }
+
+  /**
+   * Sum of the daily buckets with keys in [fromKey, toKey].
+   */
+  getRange(fromKey, toKey) {
+    return sumBuckets(Object.keys(this.days)
+      .filter(key => key >= fromKey && key <= toKey)
+      .map(key => this.days[key]));
+  }
+
+  /**
+   * Sum of the daily buckets of the month containing `date`.
+   */
+  getMonth(date) {
+    const prefix = EnergyLedger.monthKey(date, this.getTimezone());
+    return sumBuckets(Object.keys(this.days)
+      .filter(key => key.startsWith(prefix))
+      .map(key => this.days[key]));
+  }
+
+  /**
+   * One device's daily bucket for 'YYYY-MM-DD', empty when it has none.
+   */
+  getDeviceDay(deviceId, dayKey) {
+    const device = this.devices[deviceId];
+    const day = device && device.days[dayKey];
+    return sumBuckets(day ? [day] : []);
+  }
+
+  /**
+   * One device's daily buckets in [fromKey, toKey], or its monthly bucket
+   * for the month of `month` (a date).
+   */
+  getDeviceBuckets(deviceId, { fromKey, toKey, month }) {
+    const device = this.devices[deviceId];
+    if (!device) return [];
+
+    if (month) {
+      const bucket = device.months[EnergyLedger.monthKey(month, this.getTimezone())];
+      return bucket ? [bucket] : [];
+    }
+    return Object.keys(device.days)
+      .filter(key => key >= fromKey && key <= toKey)
+      .map(key => device.days[key]);
+  }
+
+  /**
+   * Per-device totals for a day range or for the month of `date`, most
+   * expensive first.
+   */
+  getDeviceTotals(range) {
+    return EnergyLedger.combineDeviceTotals([this], range);
+  }
+
+  /**
+   * Per-device totals as getDeviceTotals() does, over several ledgers. A
+   * device that moved between meters is added up across their ledgers.
+   */
+  static combineDeviceTotals(ledgers, range) {
+    const devices = new Map();
+    for (const ledger of ledgers) {
+      for (const [deviceId, device] of Object.entries(ledger.devices)) {
+        const entry = devices.get(deviceId) || { name: device.name, buckets: [] };
+        entry.buckets.push(...ledger.getDeviceBuckets(deviceId, range));
+        devices.set(deviceId, entry);
+      }
+    }
+
+    return [...devices.entries()]
+      .map(([id, { name, buckets }]) => ({ id, name, ...sumBuckets(buckets) }))
+      .filter(total => total.kwh > 0)
+      .sort((a, b) => b.cost - a.cost);
+  }
+
+  /**
+   * Re-price the hourly buckets of the days in [fromKey, toKey]. For each
+   * hour `priceHour(hourKey, bucket)` returns its new { cost, bands,
+   * charges, exportBands } (exportBands: earnings per band), or null to
+   * keep it as recorded. Returns per day the recorded and re-priced cost
+   * and export earnings of the hours covered. With `apply` the hourly and
+   * daily buckets are updated; per-device buckets keep their recorded cost.
+   * Only hours still kept (about two months) can be re-priced.
+   */
+  recost(fromKey, toKey, priceHour, { apply = false } = {}) {
+    const days = {};
+
+    for (const hourKey of Object.keys(this.hours).sort()) {
+      const dayKey = hourKey.slice(0, 10);
+      if (dayKey < fromKey || dayKey > toKey) continue;
+
+      const hour = this.hours[hourKey];
+      const day = days[dayKey] || (days[dayKey] = {
+        date: dayKey, hours: 0, skipped: 0, kwh: 0, cost: 0, recostedCost: 0, earnings: 0, recostedEarnings: 0
+      });
+      const earnings = hour.export ? hour.export.earnings : 0;
+      day.kwh += hour.kwh;
+      day.cost += hour.cost;
+      day.earnings += earnings;
+
+      const priced = priceHour(hourKey, hour);
+      if (!priced) {
+        day.skipped++;
+        day.recostedCost += hour.cost;
+        day.recostedEarnings += earnings;
+        continue;
+      }
+
+      const recostedEarnings = Object.values(priced.exportBands).reduce((sum, value) => sum + value, 0);
+      day.hours++;
+      day.recostedCost += priced.cost;
+      day.recostedEarnings += recostedEarnings;
+
+      if (apply) {
+        if (this.days[dayKey]) this.adjustBucket(this.days[dayKey], hour, priced);
+        this.markDirty('days', `hours.${dayKey}`);
+        hour.cost = priced.cost;
+        for (const [band, values] of Object.entries(priced.bands)) {
+          hour.bands[band].cost = values.cost;
+        }
+        hour.charges = { ...priced.charges };
+        if (hour.export) {
+          hour.export.earnings = recostedEarnings;
+          for (const [band, value] of Object.entries(priced.exportBands)) {
+            hour.export.bands[band].earnings = value;
+          }
+        }
+      }
+    }
+
+    if (apply) {
+      this.flush();
+    }
+    return Object.values(days);
+  }
+
+  /**
+   * Shift `bucket` by the difference between the recorded hour and its
+   * re-priced values, before the hour itself is overwritten.
+   */
+  adjustBucket(bucket, hour, priced) {
+    bucket.cost += priced.cost - hour.cost;
+    for (const [band, values] of Object.entries(priced.bands)) {
+      bucket.bands[band].cost += values.cost - hour.bands[band].cost;
+    }
+
+    const charges = bucket.charges || (bucket.charges = { network: 0, excise: 0, standing: 0, vat: 0 });
+    for (const component of CHARGE_COMPONENTS) {
+      charges[component] += (priced.charges[component] || 0) - ((hour.charges && hour.charges[component]) || 0);
+    }
+
+    if (bucket.export && hour.export) {
+      for (const [band, value] of Object.entries(priced.exportBands)) {
+        const previous = hour.export.bands[band].earnings;
+        bucket.export.earnings += value - previous;
+        if (bucket.export.bands[band]) bucket.export.bands[band].earnings += value - previous;
+      }
+    }
+  }
+
+  /**
+   * Average cost per hour of the day (24 values) over the complete days
+   * before `date` that fall on `weekday` (0 = Sunday), or over all complete
+   * days when `weekday` is null. Null when there is no such day.
+   */
+  getHourlyProfile(date, weekday = null) {
+    const todayKey = EnergyLedger.dayKey(date, this.getTimezone());
+    const days = {};
+
+    for (const key of Object.keys(this.hours)) {
+      const dayKey = key.slice(0, 10);
+      if (dayKey >= todayKey) continue;
+      (days[dayKey] || (days[dayKey] = [])).push(key);
+    }
+
+    const profile = new Array(24).fill(0);
+    let count = 0;
+    for (const [dayKey, hourKeys] of Object.entries(days)) {
+      if (hourKeys.length < MIN_PROFILE_DAY_HOURS) continue;
+
+      const [year, month, day] = dayKey.split('-').map(Number);
+      if (weekday !== null && new Date(Date.UTC(year, month - 1, day)).getUTCDay() !== weekday) continue;
+
+      for (const key of hourKeys) {
+        profile[Number(key.slice(11))] += this.hours[key].cost;
+      }
+      count++;
+    }
+
+    return count > 0 ? profile.map(cost => cost / count) : null;
+  }
+
+}
+
+module.exports = EnergyLedger;
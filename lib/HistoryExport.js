@@ -0,0 +1,51 @@
+'use strict';
+
+/**
+ * Consumption and cost history as rows for a spreadsheet. Each row covers
+ * one period of the chosen resolution and one tariff band:
+ *
+ *   { start, date, time, season, band, bandName, rate, kwh, cost,
+ *     exportKwh, earnings }
+ *
+ * `start` is ISO 8601 UTC, `date` and `time` the same moment on Homey's
+ * clock. `rate` is the energy rate before fees and VAT, `cost` the all-in
+ * cost. The standing charge of a period gets its own row with band
+ * 'standing', so the cost column adds up to the recorded total.
+ */
+
+const RESOLUTIONS = ['minute', 'hour', 'day'];
+
+const COLUMNS = ['start', 'date', 'time', 'season', 'band', 'bandName', 'rate', 'kwh', 'cost', 'exportKwh', 'earnings'];
+
+// Decimals kept per numeric column, enough for sub-cent minute costs
+const DECIMALS = { rate: 5, kwh: 5, cost: 5, exportKwh: 5, earnings: 5 };
+
+function formatField(column, value) {
+  if (value === null || value === undefined) return '';
+  if (column in DECIMALS) return Number(value.toFixed(DECIMALS[column])).toString();
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV with a header line, comma separated with '.' decimals.
+ */
+function toCsv(rows) {
+  const lines = [COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(COLUMNS.map(column => formatField(column, row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function getFilename(fromKey, toKey, resolution, format) {
+  return `energy-${resolution}-${fromKey}-to-${toKey}.${format}`;
+}
+
+module.exports = {
+  RESOLUTIONS,
+  COLUMNS,
+  toCsv,
+  getFilename
+};
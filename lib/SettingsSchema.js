@@ -0,0 +1,492 @@
+'use strict';
+
+const TariffEngine = require('./TariffEngine');
+
+/**
+ * Validation and versioned migrations for the app settings.
+ *
+ * `validate` checks a settings update as sent to PUT /settings and returns
+ * the cleaned values plus a list of { field, message } errors, where
+ * `field` is a path into the request body such as
+ * 'seasons[0].bands[1].rate' or 'charges.vat'.
+ *
+ * `migrate` upgrades settings saved by older releases. The version they
+ * are in is kept in the 'settingsVersion' setting; each migration runs
+ * once, in order, when it is newer than that.
+ */
+
+const VERSION_KEY = 'settingsVersion';
+
+const DAY_TYPES = ['saturday', 'sunday', 'holiday'];
+
+const CHARGE_FIELDS = ['networkFee', 'excise', 'standingCharge', 'vat'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Migrations in version order. Each gets the Homey settings and the app.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'tariff bands instead of a single day window per season',
+    migrate(settings, app) {
+      const seasons = settings.get('seasons') || [];
+      if (seasons.some(season => !Array.isArray(season.bands))) {
+        settings.set('seasons', app.normalizeSeasons(seasons));
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'band ids, numeric rates and a feed-in rate on every band',
+    migrate(settings, app) {
+      settings.set('seasons', app.normalizeSeasons(settings.get('seasons') || []));
+    }
+  },
+  {
+    version: 3,
+    description: 'charges with every component',
+    migrate(settings, app) {
+      if (settings.get('charges') !== null) {
+        settings.set('charges', app.normalizeCharges(settings.get('charges')));
+      }
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run the migrations newer than the stored settings version. Fresh
+ * installs (no seasons saved yet) start at the current version.
+ */
+function migrate(app) {
+  const settings = app.homey.settings;
+
+  if (settings.get('seasons') === null) {
+    settings.set(VERSION_KEY, SCHEMA_VERSION);
+    return;
+  }
+
+  const version = settings.get(VERSION_KEY) || 0;
+  if (version > SCHEMA_VERSION) {
+    app.log(`Settings are from a newer release (version ${version}), leaving them as they are`);
+    return;
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    migration.migrate(settings, app);
+    settings.set(VERSION_KEY, migration.version);
+    app.log(`Migrated settings to version ${migration.version}: ${migration.description}`);
+  }
+}
+
+/**
+ * Number from a number or a numeric string, NaN for anything else
+ * (including empty strings, which Number() would turn into 0).
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value.trim());
+  return NaN;
+}
+
+function isTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+function isDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(typeof value === 'string' ? value : '');
+  if (!match) return false;
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth(month);
+}
+
+function daysInMonth(month) {
+  // A leap year, so 29 February is allowed
+  return new Date(Date.UTC(2024, month, 0)).getUTCDate();
+}
+
+function formatDate(month, day) {
+  return `${day} ${MONTHS[month - 1]}`;
+}
+
+function formatMinute(minute) {
+  return `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+}
+
+class Validator {
+
+  constructor() {
+    this.errors = [];
+  }
+
+  error(field, message) {
+    this.errors.push({ field, message });
+  }
+
+  /**
+   * Number in [min, max]; records an error and returns null otherwise.
+   */
+  number(field, value, { min = -Infinity, max = Infinity, integer = false } = {}) {
+    const number = toNumber(value);
+    if (!Number.isFinite(number)) {
+      this.error(field, 'Must be a number');
+      return null;
+    }
+    if (integer && !Number.isInteger(number)) {
+      this.error(field, 'Must be a whole number');
+      return null;
+    }
+    if (number < min) {
+      this.error(field, min === 0 ? 'Must not be negative' : `Must be at least ${min}`);
+      return null;
+    }
+    if (number > max) {
+      this.error(field, `Must be at most ${max}`);
+      return null;
+    }
+    return number;
+  }
+
+  text(field, value, { required = true, maxLength = 100 } = {}) {
+    if (typeof value !== 'string' || (required && value.trim() === '')) {
+      this.error(field, required ? 'Required' : 'Must be text');
+      return null;
+    }
+    if (value.trim().length > maxLength) {
+      this.error(field, `Must be at most ${maxLength} characters`);
+      return null;
+    }
+    return value.trim();
+  }
+
+  time(field, value) {
+    if (!isTime(value)) {
+      this.error(field, 'Must be a time as HH:MM');
+      return null;
+    }
+    return value;
+  }
+
+  list(field, value) {
+    if (!Array.isArray(value)) {
+      this.error(field, 'Must be a list');
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * { start, end } windows; wrapping past midnight is allowed.
+   */
+  windows(field, windows) {
+    if (!this.list(field, windows)) return [];
+    return windows.map((window, index) => ({
+      ...window,
+      start: this.time(`${field}[${index}].start`, window && window.start),
+      end: this.time(`${field}[${index}].end`, window && window.end)
+    }));
+  }
+
+  /**
+   * Report the first minute where windows of different owners overlap.
+   * `owners` is [{ field, name, windows }].
+   */
+  windowOverlaps(owners) {
+    const taken = new Array(1440).fill(null);
+
+    for (const owner of owners) {
+      const windows = owner.windows.filter(window => window.start && window.end);
+      for (let minute = 0; minute < 1440; minute++) {
+        if (!windows.some(window => TariffEngine.isMinuteInWindow(minute, window))) continue;
+        const other = taken[minute];
+        if (other && other !== owner) {
+          this.error(owner.field, `Overlaps with "${other.name}" at ${formatMinute(minute)}`);
+          break;
+        }
+        taken[minute] = owner;
+      }
+    }
+  }
+
+  band(field, band, seen) {
+    if (!band || typeof band !== 'object') {
+      this.error(field, 'Must be a band');
+      return null;
+    }
+
+    const name = this.text(`${field}.name`, band.name);
+    // Same id as the app derives for bands saved without one
+    const id = band.id || (name ? name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'band' : null);
+    if (id && seen.has(id)) {
+      this.error(`${field}.name`, `Another band in this season is also called "${seen.get(id)}"`);
+    } else if (id) {
+      seen.set(id, name);
+    }
+
+    return {
+      ...band,
+      id,
+      name,
+      rate: this.number(`${field}.rate`, band.rate, { min: 0 }),
+      exportRate: band.exportRate === undefined || band.exportRate === null
+        ? 0
+        : this.number(`${field}.exportRate`, band.exportRate, { min: 0 }),
+      windows: this.windows(`${field}.windows`, band.windows || [])
+    };
+  }
+
+  schedules(field, schedules, bandIds) {
+    if (schedules === undefined || schedules === null) return undefined;
+    if (typeof schedules !== 'object' || Array.isArray(schedules)) {
+      this.error(field, 'Must be a set of day schedules');
+      return undefined;
+    }
+
+    const result = {};
+    for (const [dayType, schedule] of Object.entries(schedules)) {
+      const scheduleField = `${field}.${dayType}`;
+      if (!DAY_TYPES.includes(dayType)) {
+        this.error(scheduleField, `Unknown day type, expected one of ${DAY_TYPES.join(', ')}`);
+        continue;
+      }
+      if (!schedule || typeof schedule !== 'object') {
+        this.error(scheduleField, 'Must be a schedule');
+        continue;
+      }
+      if (!bandIds.includes(schedule.default)) {
+        this.error(`${scheduleField}.default`, 'Must be one of the season\'s bands');
+      }
+
+      const windows = this.windows(`${scheduleField}.windows`, schedule.windows || []);
+      windows.forEach((window, index) => {
+        if (!bandIds.includes(window.band)) {
+          this.error(`${scheduleField}.windows[${index}].band`, 'Must be one of the season\'s bands');
+        }
+      });
+      this.windowOverlaps(windows.map((window, index) => ({
+        field: `${scheduleField}.windows[${index}]`,
+        name: `${window.band} ${window.start}-${window.end}`,
+        windows: [window]
+      })));
+
+      result[dayType] = { default: schedule.default, windows };
+    }
+    return result;
+  }
+
+  season(field, season) {
+    if (!season || typeof season !== 'object') {
+      this.error(field, 'Must be a season');
+      return null;
+    }
+
+    const result = {
+      ...season,
+      name: this.text(`${field}.name`, season.name)
+    };
+    for (const part of ['start', 'end']) {
+      const month = this.number(`${field}.${part}Month`, season[`${part}Month`], { min: 1, max: 12, integer: true });
+      const day = month === null
+        ? null
+        : this.number(`${field}.${part}Day`, season[`${part}Day`], { min: 1, max: daysInMonth(month), integer: true });
+      result[`${part}Month`] = month;
+      result[`${part}Day`] = day;
+    }
+
+    // Seasons saved by older releases: one day window, global day/night rates
+    if (!Array.isArray(season.bands)) {
+      const dayStart = this.time(`${field}.dayStart`, season.dayStart);
+      const dayEnd = this.time(`${field}.dayEnd`, season.dayEnd);
+      if (dayStart && dayEnd && TariffEngine.timeToMinutes(dayEnd) <= TariffEngine.timeToMinutes(dayStart)) {
+        this.error(`${field}.dayEnd`, 'Must be after the start of the day tariff');
+      }
+      return result;
+    }
+
+    if (season.bands.length === 0) {
+      this.error(`${field}.bands`, 'Add at least one band');
+    }
+    const seen = new Map();
+    result.bands = season.bands.map((band, index) => this.band(`${field}.bands[${index}]`, band, seen));
+    this.windowOverlaps(result.bands
+      .map((band, index) => band && {
+        field: `${field}.bands[${index}].windows`,
+        name: band.name,
+        windows: band.windows
+      })
+      .filter(Boolean));
+
+    const bandIds = result.bands.filter(Boolean).map(band => band.id);
+    result.schedules = this.schedules(`${field}.schedules`, season.schedules, bandIds);
+    if (result.schedules === undefined) delete result.schedules;
+
+    return result;
+  }
+
+  /**
+   * Every day of the year must fall in exactly one season.
+   */
+  seasonCoverage(seasons) {
+    const valid = seasons
+      .map((season, index) => ({ season, index }))
+      .filter(({ season }) => season && season.startMonth && season.startDay && season.endMonth && season.endDay);
+    if (valid.length === 0 || valid.length !== seasons.length) return;
+
+    const reported = new Set();
+    let gapStart = null;
+    let previous = null;
+    const gaps = [];
+
+    for (let month = 1; month <= 12; month++) {
+      for (let day = 1; day <= daysInMonth(month); day++) {
+        const matches = valid.filter(({ season }) => TariffEngine.isDateInSeason(month, day, season));
+
+        if (matches.length > 1) {
+          const [first, ...others] = matches;
+          for (const other of others) {
+            const key = `${first.index}-${other.index}`;
+            if (reported.has(key)) continue;
+            reported.add(key);
+            this.error(`seasons[${other.index}]`, `Overlaps with "${first.season.name}" from ${formatDate(month, day)}`);
+          }
+        }
+
+        if (matches.length === 0 && gapStart === null) {
+          gapStart = { month, day };
+        } else if (matches.length > 0 && gapStart !== null) {
+          gaps.push(`${formatDate(gapStart.month, gapStart.day)} - ${formatDate(previous.month, previous.day)}`);
+          gapStart = null;
+        }
+        previous = { month, day };
+      }
+    }
+    if (gapStart !== null) {
+      gaps.push(`${formatDate(gapStart.month, gapStart.day)} - 31 Dec`);
+    }
+
+    if (gaps.length > 0) {
+      this.error('seasons', `No season covers ${gaps.join(', ')}`);
+    }
+  }
+
+  holiday(field, holiday) {
+    if (!holiday || typeof holiday !== 'object') {
+      this.error(field, 'Must be a holiday');
+      return null;
+    }
+
+    if (!isDate(holiday.date)) {
+      this.error(`${field}.date`, 'Must be a date as YYYY-MM-DD');
+    }
+    if (holiday.name !== undefined && holiday.name !== null && typeof holiday.name !== 'string') {
+      this.error(`${field}.name`, 'Must be text');
+    }
+    return holiday;
+  }
+
+}
+
+/**
+ * Check a settings update. Only the fields present are checked; with
+ * `priceProviders` (ids) the provider must be one of them. Returns
+ * { values, errors } with numbers parsed in `values`.
+ */
+function validate(body, { priceProviders = [] } = {}) {
+  const validator = new Validator();
+  const values = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    validator.error('', 'Settings must be an object');
+    return { values, errors: validator.errors };
+  }
+
+  // Tariff profiles are checked as a settings update plus their name
+  if (body.name !== undefined) {
+    values.name = validator.text('name', body.name, { maxLength: 50 });
+  }
+  if (body.currency !== undefined) {
+    values.currency = validator.text('currency', body.currency, { maxLength: 10 });
+  }
+  if (body.accountingMode !== undefined) {
+    if (['meter', 'power'].includes(body.accountingMode)) {
+      values.accountingMode = body.accountingMode;
+    } else {
+      validator.error('accountingMode', 'Must be "meter" or "power"');
+    }
+  }
+  if (body.mainMeterId !== undefined) {
+    if (body.mainMeterId === null || body.mainMeterId === '' || typeof body.mainMeterId === 'string') {
+      values.mainMeterId = body.mainMeterId || null;
+    } else {
+      validator.error('mainMeterId', 'Must be a device id');
+    }
+  }
+  if (body.billingStartDay !== undefined) {
+    values.billingStartDay = validator.number('billingStartDay', body.billingStartDay, { min: 1, max: 28, integer: true });
+  }
+  if (body.staleAfter !== undefined) {
+    values.staleAfter = validator.number('staleAfter', body.staleAfter, { min: 0, max: 7 * 24 * 60, integer: true });
+  }
+  if (body.staleAction !== undefined) {
+    if (['flag', 'zero'].includes(body.staleAction)) {
+      values.staleAction = body.staleAction;
+    } else {
+      validator.error('staleAction', 'Must be "flag" or "zero"');
+    }
+  }
+  if (body.priceProvider !== undefined) {
+    if (priceProviders.includes(body.priceProvider)) {
+      values.priceProvider = body.priceProvider;
+    } else {
+      validator.error('priceProvider', `Must be one of ${priceProviders.join(', ')}`);
+    }
+  }
+  if (body.charges !== undefined) {
+    if (!body.charges || typeof body.charges !== 'object') {
+      validator.error('charges', 'Must be a set of charges');
+    } else {
+      values.charges = {};
+      for (const field of CHARGE_FIELDS) {
+        const value = body.charges[field];
+        values.charges[field] = value === undefined || value === null
+          ? 0
+          : validator.number(`charges.${field}`, value, { min: 0, max: field === 'vat' ? 100 : Infinity });
+      }
+    }
+  }
+  for (const field of ['dayRate', 'nightRate']) {
+    if (body[field] !== undefined) {
+      values[field] = validator.number(field, body[field], { min: 0 });
+    }
+  }
+  if (body.seasons !== undefined && validator.list('seasons', body.seasons)) {
+    if (body.seasons.length === 0) {
+      validator.error('seasons', 'Add at least one season');
+    }
+    values.seasons = body.seasons.map((season, index) => validator.season(`seasons[${index}]`, season));
+    validator.seasonCoverage(values.seasons);
+  }
+  if (body.effectiveFrom !== undefined && body.effectiveFrom !== null && body.effectiveFrom !== '') {
+    if (isDate(body.effectiveFrom)) {
+      values.effectiveFrom = body.effectiveFrom;
+    } else {
+      validator.error('effectiveFrom', 'Must be a date as YYYY-MM-DD');
+    }
+  }
+  if (body.holidays !== undefined && validator.list('holidays', body.holidays)) {
+    values.holidays = body.holidays.map((holiday, index) => validator.holiday(`holidays[${index}]`, holiday));
+  }
+
+  return { values, errors: validator.errors };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  VERSION_KEY,
+  MIGRATIONS,
+  migrate,
+  validate
+};
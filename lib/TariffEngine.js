@@ -0,0 +1,451 @@
+'use strict';
+
+/**
+ * Tariff engine: resolves the season, band and rate in force at a moment
+ * from the tariff configuration ({ seasons, holidays } as stored in the app
+ * settings). Every function is pure: the result depends only on the
+ * timestamp, the IANA timezone and the configuration passed in, so the app,
+ * the device and the web views (through the app API) all agree.
+ *
+ * Without a timezone the process's local time is used.
+ *
+ * Wherever a configuration is taken, a function from timestamp to
+ * configuration can be passed instead, for tariffs that change over time
+ * (effective-dated versions). Its `changes` property lists the timestamps
+ * at which it moves on to another version.
+ */
+
+// Used when no season or band is configured
+const DEFAULT_BAND = { id: 'day', name: 'Day', rate: 0.12 };
+
+const MINUTE = 60000;
+
+// Look-ahead for the next change when none is given
+const DEFAULT_HORIZON = 7 * 24 * 60 * MINUTE;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Local calendar fields of `timestamp` (ms) in `timezone`:
+ * { year, month (1-12), day, weekday (0 = Sunday), hour, minute, minuteOfDay }.
+ */
+function getLocalTime(timestamp, timezone) {
+  if (!timezone) {
+    const date = new Date(timestamp);
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      weekday: date.getDay(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      minuteOfDay: date.getHours() * 60 + date.getMinutes()
+    };
+  }
+
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(new Date(timestamp))) {
+    parts[part.type] = part.value;
+  }
+  const hour = Number(parts.hour);
+  const minute = Number(parts.minute);
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    hour,
+    minute,
+    minuteOfDay: hour * 60 + minute
+  };
+}
+
+/**
+ * Offset of `timezone` from UTC at `timestamp`, in ms.
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  if (!timezone) {
+    return -new Date(timestamp).getTimezoneOffset() * MINUTE;
+  }
+  const local = getLocalTime(timestamp, timezone);
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute);
+  return wallClock - (timestamp - (((timestamp % MINUTE) + MINUTE) % MINUTE));
+}
+
+/**
+ * Timestamp of a local wall-clock time in `timezone`. Out-of-range fields
+ * roll over (day 32 is the 1st of the next month, hour 24 the next day).
+ *
+ * DST rule: a time that occurs twice when clocks go back resolves to the
+ * first occurrence; a time skipped when clocks go forward resolves to the
+ * same distance past the gap (02:30 on a 02:00-03:00 gap is 03:30). Band
+ * windows themselves are matched on the wall clock minute by minute, so a
+ * window starting inside a gap takes effect at the first minute after it
+ * and the repeated hour is billed at its wall-clock band both times.
+ */
+function getLocalTimestamp(year, month, day, hour, minute, timezone) {
+  if (!timezone) {
+    return new Date(year, month - 1, day, hour, minute).getTime();
+  }
+
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // DST changes are months apart, so the offsets half a day either side
+  // are the only two the wall-clock time can have
+  const before = wallClock - getTimezoneOffset(wallClock - 12 * 60 * MINUTE, timezone);
+  const after = wallClock - getTimezoneOffset(wallClock + 12 * 60 * MINUTE, timezone);
+  const matches = [before, after]
+    .filter(timestamp => timestamp + getTimezoneOffset(timestamp, timezone) === wallClock);
+
+  if (matches.length > 0) return Math.min(...matches);
+  // Skipped: keep the offset from before the gap
+  return before;
+}
+
+/**
+ * Timestamp of local midnight starting the given calendar day. Adding 1 to
+ * `day` gives the end of the day, 23 or 25 hours later on DST days.
+ */
+function getDayStart(year, month, day, timezone) {
+  return getLocalTimestamp(year, month, day, 0, 0, timezone);
+}
+
+/**
+ * 'YYYY-MM-DD' of the local calendar day containing `timestamp`.
+ */
+function getDayKey(timestamp, timezone) {
+  const local = getLocalTime(timestamp, timezone);
+  return `${local.year}-${String(local.month).padStart(2, '0')}-${String(local.day).padStart(2, '0')}`;
+}
+
+/**
+ * Local 'HH:MM' of `timestamp`.
+ */
+function formatTime(timestamp, timezone) {
+  const local = getLocalTime(timestamp, timezone);
+  return `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Whether month/day (1-based) falls in the season. Seasons whose start is
+ * later in the year than their end wrap past New Year (e.g. Nov-Mar).
+ */
+function isDateInSeason(month, day, season) {
+  const { startMonth, startDay, endMonth, endDay } = season;
+  const afterStart = month > startMonth || (month === startMonth && day >= startDay);
+  const beforeEnd = month < endMonth || (month === endMonth && day <= endDay);
+
+  if (startMonth > endMonth || (startMonth === endMonth && startDay > endDay)) {
+    return afterStart || beforeEnd;
+  }
+  return afterStart && beforeEnd;
+}
+
+/**
+ * First season containing month/day, or the first season when none does.
+ */
+function getSeason(seasons, month, day) {
+  return (seasons || []).find(season => isDateInSeason(month, day, season)) || (seasons || [])[0] || null;
+}
+
+/**
+ * Holidays are { date: 'YYYY-MM-DD', recurring }; recurring ones match the
+ * same month and day every year.
+ */
+function isHoliday(holidays, local) {
+  const month = String(local.month).padStart(2, '0');
+  const day = String(local.day).padStart(2, '0');
+  const isoDate = `${local.year}-${month}-${day}`;
+
+  return (holidays || []).some(holiday => (holiday.recurring
+    ? holiday.date.slice(5) === `${month}-${day}`
+    : holiday.date === isoDate));
+}
+
+/**
+ * One of 'weekday', 'saturday', 'sunday' or 'holiday'. Holidays take
+ * precedence over the day of the week.
+ */
+function getDayType(local, holidays) {
+  if (isHoliday(holidays, local)) return 'holiday';
+  if (local.weekday === 6) return 'saturday';
+  if (local.weekday === 0) return 'sunday';
+  return 'weekday';
+}
+
+/**
+ * Schedule override for a day type, or null when the band windows
+ * (the weekday schedule) apply. Holidays without their own schedule use
+ * the Sunday one, weekends without one use the weekday schedule.
+ */
+function getDaySchedule(season, dayType) {
+  const schedules = (season && season.schedules) || {};
+
+  if (dayType === 'holiday') {
+    return schedules.holiday || schedules.sunday || null;
+  }
+  if (dayType === 'saturday' || dayType === 'sunday') {
+    return schedules[dayType] || null;
+  }
+  return null;
+}
+
+function timeToMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isMinuteInWindow(minuteOfDay, window) {
+  const start = timeToMinutes(window.start);
+  const end = timeToMinutes(window.end);
+
+  if (start === end) return true; // Whole day
+  if (start < end) {
+    return minuteOfDay >= start && minuteOfDay < end;
+  }
+  // Window wraps past midnight (e.g. 22:00-06:00)
+  return minuteOfDay >= start || minuteOfDay < end;
+}
+
+/**
+ * Band in force at the given minute of the day. On weekdays the first band
+ * with a matching window wins and a band without windows covers all
+ * remaining time. Weekend and holiday schedules list their own windows
+ * plus a default band for the rest of the day.
+ */
+function getBandAt(season, minuteOfDay, dayType = 'weekday') {
+  const bands = (season && season.bands) || [];
+
+  const schedule = getDaySchedule(season, dayType);
+  if (schedule) {
+    const window = (schedule.windows || []).find(w => isMinuteInWindow(minuteOfDay, w));
+    const band = bands.find(b => b.id === (window ? window.band : schedule.default));
+    if (band) return band;
+  }
+
+  const match = bands.find(band => (band.windows || []).some(w => isMinuteInWindow(minuteOfDay, w)));
+  return match || bands.find(band => !band.windows || band.windows.length === 0) || bands[0] || null;
+}
+
+/**
+ * The configured season and band objects in force at `timestamp` (either
+ * may be null) and the day type used.
+ */
+function resolve(timestamp, timezone, config) {
+  const { seasons, holidays } = typeof config === 'function' ? config(timestamp) : config;
+  const local = getLocalTime(timestamp, timezone);
+  const season = getSeason(seasons, local.month, local.day);
+  const dayType = getDayType(local, holidays);
+  return { season, band: getBandAt(season, local.minuteOfDay, dayType), dayType };
+}
+
+/**
+ * Plain description of what is in force at `timestamp`:
+ * { band, bandName, rate, season } with `season` the season name.
+ */
+function getStateAt(timestamp, timezone, config) {
+  const { season, band } = resolve(timestamp, timezone, config);
+  const current = band || DEFAULT_BAND;
+  return {
+    band: current.id,
+    bandName: current.name,
+    rate: current.rate,
+    season: season ? season.name : null
+  };
+}
+
+function ceilToMinute(timestamp) {
+  return Math.ceil(timestamp / MINUTE) * MINUTE;
+}
+
+/**
+ * Minutes of the day at which a band window or schedule window of any
+ * season in the given configurations starts or ends.
+ */
+function getWindowEdges(configs) {
+  const edges = new Set();
+  const add = (window) => {
+    for (const minute of [timeToMinutes(window.start), timeToMinutes(window.end)]) {
+      if (Number.isFinite(minute)) edges.add(minute);
+    }
+  };
+
+  for (const { seasons } of configs) {
+    for (const season of seasons || []) {
+      for (const band of season.bands || []) (band.windows || []).forEach(add);
+      for (const schedule of Object.values(season.schedules || {})) ((schedule && schedule.windows) || []).forEach(add);
+    }
+  }
+  return edges;
+}
+
+/**
+ * First minute in (low, high] with `changed(minute)` true, given that it
+ * is false at `low` and true at `high` (both whole minutes).
+ */
+function bisect(low, high, changed) {
+  while (high - low > MINUTE) {
+    const middle = low + Math.floor((high - low) / MINUTE / 2) * MINUTE;
+    if (changed(middle)) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return high;
+}
+
+/**
+ * Minutes in (from, to) at which a configuration function moves on to
+ * another version, from the timestamps in its `changes` list.
+ */
+function getConfigChanges(from, to, config) {
+  if (typeof config !== 'function') return [];
+  return (config.changes || []).map(ceilToMinute).filter(timestamp => timestamp > from && timestamp < to);
+}
+
+/**
+ * Transitions in (from, to): every minute where the band, the rate or the
+ * season changes, as { timestamp, band, bandName, rate, season } for what
+ * is in force from then on. `rateAt(timestamp, state)` can replace the
+ * band rates, e.g. with dynamic prices; `rateChanges(from, to)` then lists
+ * the moments those rates may change.
+ *
+ * Only the moments where something can change are resolved: local
+ * midnights (seasons, holidays and day types), the wall-clock times at
+ * which band windows start or end, DST changes, configuration versions
+ * and rate changes. A window edge in a repeated hour counts twice; one
+ * skipped by DST takes effect when the clocks jump.
+ */
+function getTransitions(from, to, timezone, config, { limit = Infinity, rateAt = null, rateChanges = null } = {}) {
+  const configAt = timestamp => (typeof config === 'function' ? config(timestamp) : config);
+  const stateAt = (timestamp) => {
+    const state = getStateAt(timestamp, timezone, config);
+    if (rateAt) state.rate = rateAt(timestamp, state);
+    return state;
+  };
+
+  const start = from - (((from % MINUTE) + MINUTE) % MINUTE);
+  const configChanges = getConfigChanges(start, to, config);
+  const edges = getWindowEdges([configAt(start), ...configChanges.map(configAt)]);
+  const changes = [...configChanges, ...(rateChanges ? rateChanges(start, to) : []).map(ceilToMinute)];
+
+  const transitions = [];
+  let previous = stateAt(start);
+  const local = getLocalTime(start, timezone);
+  let dayStart = getDayStart(local.year, local.month, local.day, timezone);
+
+  for (let day = 1; dayStart < to && transitions.length < limit; day++) {
+    const dayEnd = getDayStart(local.year, local.month, local.day + day, timezone);
+    const candidates = [dayStart, ...changes.filter(timestamp => timestamp >= dayStart && timestamp < dayEnd)];
+
+    const startOffset = getTimezoneOffset(dayStart, timezone);
+    const endOffset = getTimezoneOffset(dayEnd - MINUTE, timezone);
+    if (startOffset !== endOffset) {
+      candidates.push(bisect(dayStart, dayEnd - MINUTE, timestamp => getTimezoneOffset(timestamp, timezone) !== startOffset));
+    }
+
+    for (const minute of edges) {
+      const wallClock = Date.UTC(local.year, local.month - 1, local.day + day - 1, 0, minute);
+      if (startOffset === endOffset) {
+        candidates.push(wallClock - startOffset);
+        continue;
+      }
+      // Both occurrences in a repeated hour, none in a skipped one
+      for (const offset of [startOffset, endOffset]) {
+        const timestamp = wallClock - offset;
+        if (timestamp + getTimezoneOffset(timestamp, timezone) === wallClock) candidates.push(timestamp);
+      }
+    }
+
+    const moments = [...new Set(candidates)]
+      .filter(timestamp => timestamp > start && timestamp < to)
+      .sort((a, b) => a - b);
+    for (const timestamp of moments) {
+      if (transitions.length >= limit) break;
+      const state = stateAt(timestamp);
+      if (state.band !== previous.band || state.rate !== previous.rate || state.season !== previous.season) {
+        transitions.push({ timestamp, ...state });
+      }
+      previous = state;
+    }
+
+    dayStart = dayEnd;
+  }
+
+  return transitions;
+}
+
+/**
+ * Band, rate and season at `timestamp` plus the next change within
+ * `horizon` ms (null when there is none).
+ */
+function getTariff(timestamp, timezone, config, { horizon = DEFAULT_HORIZON, rateAt = null, rateChanges = null } = {}) {
+  const state = getStateAt(timestamp, timezone, config);
+  if (rateAt) state.rate = rateAt(timestamp, state);
+
+  const [nextChange] = getTransitions(timestamp, timestamp + horizon, timezone, config, { limit: 1, rateAt, rateChanges });
+  return { ...state, nextChange: nextChange || null };
+}
+
+/**
+ * The local calendar day containing `timestamp` as consecutive segments
+ * { start, end, band, bandName, rate, season }.
+ */
+function getDaySegments(timestamp, timezone, config, { rateAt = null, rateChanges = null } = {}) {
+  const local = getLocalTime(timestamp, timezone);
+  const start = getDayStart(local.year, local.month, local.day, timezone);
+  const end = getDayStart(local.year, local.month, local.day + 1, timezone);
+
+  const first = getStateAt(start, timezone, config);
+  if (rateAt) first.rate = rateAt(start, first);
+  const segments = [{ start, ...first }];
+
+  for (const { timestamp: changeAt, ...state } of getTransitions(start, end, timezone, config, { rateAt, rateChanges })) {
+    segments[segments.length - 1].end = changeAt;
+    segments.push({ start: changeAt, ...state });
+  }
+  segments[segments.length - 1].end = end;
+
+  return segments;
+}
+
+module.exports = {
+  DEFAULT_BAND,
+  getLocalTime,
+  getTimezoneOffset,
+  getLocalTimestamp,
+  getDayStart,
+  getDayKey,
+  formatTime,
+  isDateInSeason,
+  getSeason,
+  isHoliday,
+  getDayType,
+  getDaySchedule,
+  timeToMinutes,
+  isMinuteInWindow,
+  getBandAt,
+  resolve,
+  getStateAt,
+  getTransitions,
+  getTariff,
+  getDaySegments
+};
@@ -0,0 +1,160 @@
+'use strict';
+
+/**
+ * Bundled tariff presets. Each is a starting point the user can pick in the
+ * settings page and then adjust:
+ *
+ *   { id, name, description, currency, charges, seasons, holidays }
+ *
+ * `currency` null keeps the user's currency. Rates are indicative and
+ * include fees and VAT unless `charges` says otherwise; the user should
+ * check them against their own bill.
+ */
+
+// Bulgarian fixed-date public holidays, recurring every year
+const BULGARIAN_HOLIDAYS = [
+  { name: 'New Year', date: '2000-01-01', recurring: true },
+  { name: 'Liberation Day', date: '2000-03-03', recurring: true },
+  { name: 'Labour Day', date: '2000-05-01', recurring: true },
+  { name: 'St. George\'s Day', date: '2000-05-06', recurring: true },
+  { name: 'Culture and Literacy Day', date: '2000-05-24', recurring: true },
+  { name: 'Unification Day', date: '2000-09-06', recurring: true },
+  { name: 'Independence Day', date: '2000-09-22', recurring: true },
+  { name: 'Christmas Eve', date: '2000-12-24', recurring: true },
+  { name: 'Christmas Day', date: '2000-12-25', recurring: true },
+  { name: 'Second Day of Christmas', date: '2000-12-26', recurring: true }
+];
+
+const NO_CHARGES = { networkFee: 0, excise: 0, standingCharge: 0, vat: 0 };
+
+/**
+ * The two-rate schedule all Bulgarian distributors use: night rate from
+ * 22:00 to 06:00 in winter and from 23:00 to 07:00 in summer.
+ */
+function bulgarianSeasons(dayRate, nightRate) {
+  const bands = dayWindow => [
+    { id: 'day', name: 'Day', rate: dayRate, exportRate: 0, windows: [dayWindow] },
+    { id: 'night', name: 'Night', rate: nightRate, exportRate: 0, windows: [] }
+  ];
+
+  return [
+    {
+      name: 'Winter',
+      startMonth: 11,
+      startDay: 1,
+      endMonth: 3,
+      endDay: 31,
+      bands: bands({ start: '06:00', end: '22:00' })
+    },
+    {
+      name: 'Summer',
+      startMonth: 4,
+      startDay: 1,
+      endMonth: 10,
+      endDay: 31,
+      bands: bands({ start: '07:00', end: '23:00' })
+    }
+  ];
+}
+
+function allYear(bands, schedules) {
+  const season = { name: 'All year', startMonth: 1, startDay: 1, endMonth: 12, endDay: 31, bands };
+  if (schedules) season.schedules = schedules;
+  return [season];
+}
+
+const PRESETS = [
+  {
+    id: 'bg-energo-pro',
+    name: 'Energo-Pro (North-East Bulgaria)',
+    description: 'Two-rate day/night tariff, night from 22:00 in winter and 23:00 in summer',
+    currency: 'EUR',
+    charges: NO_CHARGES,
+    seasons: bulgarianSeasons(0.12, 0.06),
+    holidays: BULGARIAN_HOLIDAYS
+  },
+  {
+    id: 'bg-electrohold',
+    name: 'Electrohold (West Bulgaria, formerly CEZ)',
+    description: 'Two-rate day/night tariff, night from 22:00 in winter and 23:00 in summer',
+    currency: 'EUR',
+    charges: NO_CHARGES,
+    seasons: bulgarianSeasons(0.13, 0.076),
+    holidays: BULGARIAN_HOLIDAYS
+  },
+  {
+    id: 'bg-evn',
+    name: 'EVN (South-East Bulgaria)',
+    description: 'Two-rate day/night tariff, night from 22:00 in winter and 23:00 in summer',
+    currency: 'EUR',
+    charges: NO_CHARGES,
+    seasons: bulgarianSeasons(0.129, 0.075),
+    holidays: BULGARIAN_HOLIDAYS
+  },
+  {
+    id: 'single-rate',
+    name: 'Single rate',
+    description: 'One rate around the clock',
+    currency: null,
+    charges: NO_CHARGES,
+    seasons: allYear([
+      { id: 'standard', name: 'Standard', rate: 0.15, exportRate: 0, windows: [] }
+    ]),
+    holidays: []
+  },
+  {
+    id: 'two-rate',
+    name: 'Two rates (day/night)',
+    description: 'Day rate from 07:00 to 23:00, night rate otherwise, all year',
+    currency: null,
+    charges: NO_CHARGES,
+    seasons: allYear([
+      { id: 'day', name: 'Day', rate: 0.18, exportRate: 0, windows: [{ start: '07:00', end: '23:00' }] },
+      { id: 'night', name: 'Night', rate: 0.09, exportRate: 0, windows: [] }
+    ]),
+    holidays: []
+  },
+  {
+    id: 'three-rate',
+    name: 'Three rates (peak/shoulder/off-peak)',
+    description: 'Peak from 17:00 to 21:00 on weekdays, shoulder during the rest of the day, off-peak at night',
+    currency: null,
+    charges: NO_CHARGES,
+    seasons: allYear([
+      { id: 'peak', name: 'Peak', rate: 0.3, exportRate: 0, windows: [{ start: '17:00', end: '21:00' }] },
+      {
+        id: 'shoulder',
+        name: 'Shoulder',
+        rate: 0.2,
+        exportRate: 0,
+        windows: [{ start: '07:00', end: '17:00' }, { start: '21:00', end: '23:00' }]
+      },
+      { id: 'offpeak', name: 'Off-peak', rate: 0.1, exportRate: 0, windows: [] }
+    ], {
+      saturday: { default: 'offpeak', windows: [{ band: 'shoulder', start: '07:00', end: '23:00' }] },
+      sunday: { default: 'offpeak', windows: [{ band: 'shoulder', start: '07:00', end: '23:00' }] }
+    }),
+    holidays: []
+  }
+];
+
+// Installed on first start
+const DEFAULT_PRESET = 'bg-energo-pro';
+
+function list() {
+  return PRESETS.map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * A copy of the preset, safe to modify, or null for an unknown id.
+ */
+function get(id) {
+  const preset = PRESETS.find(candidate => candidate.id === id);
+  return preset ? JSON.parse(JSON.stringify(preset)) : null;
+}
+
+module.exports = {
+  DEFAULT_PRESET,
+  list,
+  get
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const TariffEngine = require('./TariffEngine');
+
+/**
+ * A named tariff for a meter on a contract of its own, e.g. a separately
+ * metered workshop: { id, name, seasons, charges } as stored in the
+ * 'tariffProfiles' setting. Holidays are shared with the app's tariff.
+ *
+ * Offers the same lookups as the app does for its own tariff, so a meter
+ * device can use either. Rates always come from the profile's bands;
+ * imported prices only apply to the app's tariff.
+ */
+class TariffProfile {
+
+  constructor({ profile, getTimezone, getHolidays = () => [] }) {
+    this.id = profile.id;
+    this.name = profile.name;
+    this.seasons = profile.seasons || [];
+    this.charges = profile.charges;
+    this.getTimezone = getTimezone;
+    this.getHolidays = getHolidays;
+  }
+
+  getTariffConfig() {
+    return { seasons: this.seasons, holidays: this.getHolidays() };
+  }
+
+  getSeasonForDate(date) {
+    return TariffEngine.resolve(date.getTime(), this.getTimezone(), this.getTariffConfig()).season;
+  }
+
+  getBandAtDate(date) {
+    return TariffEngine.resolve(date.getTime(), this.getTimezone(), this.getTariffConfig()).band;
+  }
+
+  getCurrentBand() {
+    return this.getBandAtDate(new Date());
+  }
+
+  getTariff(date = new Date()) {
+    return TariffEngine.getTariff(date.getTime(), this.getTimezone(), this.getTariffConfig());
+  }
+
+  getTariffTimeline({ from = new Date(), to = null, limit = Infinity } = {}) {
+    const end = to ? to.getTime() : from.getTime() + 2 * 24 * 3600000;
+    return TariffEngine.getTransitions(from.getTime(), end, this.getTimezone(), this.getTariffConfig(), { limit })
+      .map(transition => ({ ...transition, time: new Date(transition.timestamp).toISOString() }));
+  }
+
+  getTariffDay(date = new Date()) {
+    return TariffEngine.getDaySegments(date.getTime(), this.getTimezone(), this.getTariffConfig());
+  }
+
+  getRateAt(date) {
+    const band = this.getBandAtDate(date);
+    return band ? band.rate : 0;
+  }
+
+  getCurrentRate() {
+    return this.getRateAt(new Date());
+  }
+
+  getCharges() {
+    return this.charges;
+  }
+}
+
+module.exports = TariffProfile;
@@ -0,0 +1,156 @@
+'use strict';
+
+const TariffEngine = require('./TariffEngine');
+
+const SETTINGS_KEY = 'plannedWindows';
+
+// Plans are kept this long after their window ends, then dropped
+const KEEP_FINISHED = 24 * 3600 * 1000;
+
+/**
+ * Plans the cheapest window for shiftable loads (dishwasher, EV charging)
+ * and remembers it per job, so flows can check whether a job's window is
+ * running and react when it begins.
+ *
+ * Plans are stored in the 'plannedWindows' setting as
+ * { [job]: { job, meter, start, end, cost, averageRate, started } } with
+ * timestamps in ms.
+ */
+class WindowPlanner {
+
+  constructor({ homey, app }) {
+    this.homey = homey;
+    this.app = app;
+  }
+
+  /**
+   * Next moment the clock in `timezone` shows `time` ('HH:MM') after `now`.
+   * A time skipped by a DST change resolves to the same distance past the
+   * gap, a repeated one to its first occurrence.
+   */
+  static nextOccurrence(time, now, timezone = null) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    if (!Number.isInteger(hours) || !Number.isInteger(minutes)) {
+      throw new Error(`Invalid time "${time}", expected HH:MM`);
+    }
+
+    const local = TariffEngine.getLocalTime(now.getTime(), timezone);
+    let timestamp = TariffEngine.getLocalTimestamp(local.year, local.month, local.day, hours, minutes, timezone);
+    if (timestamp <= now.getTime()) {
+      timestamp = TariffEngine.getLocalTimestamp(local.year, local.month, local.day + 1, hours, minutes, timezone);
+    }
+    return new Date(timestamp);
+  }
+
+  getPlans() {
+    return this.homey.settings.get(SETTINGS_KEY) || {};
+  }
+
+  savePlans(plans) {
+    this.homey.settings.set(SETTINGS_KEY, plans);
+  }
+
+  getPlan(job) {
+    return this.getPlans()[job] || null;
+  }
+
+  /**
+   * Find the cheapest `hours`-long window that starts at the next whole
+   * minute or later and ends by the next `deadline` ('HH:MM'), at minute
+   * resolution. `powerKw` is the expected average load, used for the cost.
+   * Prices come from `tariff`, the tariff of the `meter` the job runs on
+   * (see app.getMeterTariff). The window is stored as the plan for `job`,
+   * replacing an earlier one.
+   */
+  plan(job, { hours, deadline, powerKw, meter = null, tariff = this.app }, now = new Date()) {
+    const length = Math.round(hours * 60);
+    if (!(length > 0)) {
+      throw new Error('The window must be longer than 0 hours');
+    }
+
+    const from = new Date(now);
+    from.setSeconds(0, 0);
+    from.setMinutes(from.getMinutes() + 1);
+    const until = WindowPlanner.nextOccurrence(deadline, now, this.app.getTimezone());
+    const available = Math.floor((until - from) / 60000);
+    if (available < length) {
+      throw new Error(`There is no ${hours} hour window left before ${deadline}`);
+    }
+
+    // All-in price per kWh for every minute until the deadline, as prefix sums
+    const sums = [0];
+    for (let i = 0; i < available; i++) {
+      const date = new Date(from.getTime() + i * 60000);
+      const rate = this.app.getUnitPrice(tariff.getRateAt(date), tariff.getCharges(date));
+      sums.push(sums[i] + rate);
+    }
+
+    // Earliest start wins a tie, so the load does not wait for nothing
+    let best = 0;
+    for (let start = 1; start + length <= available; start++) {
+      if (sums[start + length] - sums[start] < sums[best + length] - sums[best] - 1e-9) {
+        best = start;
+      }
+    }
+
+    const rateSum = sums[best + length] - sums[best];
+    const plan = {
+      job,
+      meter,
+      start: from.getTime() + best * 60000,
+      end: from.getTime() + (best + length) * 60000,
+      averageRate: rateSum / length,
+      cost: (powerKw || 0) * rateSum / 60,
+      started: false
+    };
+
+    const plans = this.getPlans();
+    plans[job] = plan;
+    this.savePlans(plans);
+    return plan;
+  }
+
+  isInWindow(job, now = new Date()) {
+    const plan = this.getPlan(job);
+    return Boolean(plan) && plan.start <= now.getTime() && now.getTime() < plan.end;
+  }
+
+  /**
+   * Start of the earliest window after `now` that has not begun yet, or
+   * null when there is none.
+   */
+  getNextStart(now = new Date()) {
+    const starts = Object.values(this.getPlans())
+      .filter(plan => !plan.started && plan.start > now.getTime())
+      .map(plan => plan.start);
+    return starts.length > 0 ? Math.min(...starts) : null;
+  }
+
+  /**
+   * Mark plans whose window has begun as started and return them. Also
+   * drops plans that finished long ago.
+   */
+  takeStarted(now = new Date()) {
+    const plans = this.getPlans();
+    const started = [];
+    let changed = false;
+
+    for (const [job, plan] of Object.entries(plans)) {
+      if (plan.end + KEEP_FINISHED < now.getTime()) {
+        delete plans[job];
+        changed = true;
+      } else if (!plan.started && plan.start <= now.getTime()) {
+        plan.started = true;
+        changed = true;
+        // A window missed entirely (e.g. Homey was off) does not fire late
+        if (now.getTime() < plan.end) started.push(plan);
+      }
+    }
+
+    if (changed) this.savePlans(plans);
+    return started;
+  }
+
+}
+
+module.exports = WindowPlanner;
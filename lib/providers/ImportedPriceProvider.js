@@ -0,0 +1,199 @@
+'use strict';
+
+const TariffEngine = require('../TariffEngine');
+const PriceProvider = require('./PriceProvider');
+
+const SETTINGS_KEY = 'importedPrices';
+
+// Imported slots older than this are dropped on the next import
+const KEEP_HISTORY = 2 * 24 * 3600 * 1000;
+
+// Slot length when a file has a single row and no end times
+const DEFAULT_SLOT = 3600 * 1000;
+
+/**
+ * Parse a timestamp from an import file: epoch milliseconds or anything
+ * Date understands (ISO 8601 with offset is recommended, e.g.
+ * 2025-03-14T13:00:00+02:00). Dates and times without an offset are local
+ * time in `timezone`, with the DST rule of TariffEngine.getLocalTimestamp.
+ * Returns NaN when it cannot be parsed.
+ */
+function parseTime(value, timezone) {
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (/^\d{10,}$/.test(text)) return Number(text);
+
+  const local = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+  if (local) {
+    const [year, month, day, hours = 0, minutes = 0, seconds = 0] = local.slice(1).map(field => Number(field || 0));
+    return TariffEngine.getLocalTimestamp(year, month, day, hours, minutes, timezone) + seconds * 1000;
+  }
+  return new Date(text).getTime();
+}
+
+/**
+ * Prices uploaded through the app API as CSV or JSON, for example
+ * day-ahead spot prices. Minutes without an imported price fall back to
+ * another provider, normally the static schedule.
+ *
+ * Slots are stored in the 'importedPrices' setting as
+ * [{ start, end, rate }] with timestamps in ms, sorted by start.
+ */
+class ImportedPriceProvider extends PriceProvider {
+
+  constructor({ homey, fallback, getTimezone = () => null }) {
+    super('import', 'Imported prices (CSV/JSON)');
+    this.homey = homey;
+    this.fallback = fallback;
+    this.getTimezone = getTimezone;
+  }
+
+  getSlots() {
+    return this.homey.settings.get(SETTINGS_KEY) || [];
+  }
+
+  getSlotAt(time) {
+    return this.getSlots().find(slot => slot.start <= time && time < slot.end) || null;
+  }
+
+  getPriceAt(date) {
+    const slot = this.getSlotAt(date.getTime());
+    if (slot) {
+      return { rate: slot.rate, band: null };
+    }
+    return this.fallback ? this.fallback.getPriceAt(date) : null;
+  }
+
+  getPrices(from, to) {
+    const slots = [];
+    let time = from.getTime();
+
+    // Imported slots as-is, gaps between them from the fallback
+    for (const slot of this.getSlots()) {
+      if (slot.end <= time || slot.start >= to.getTime()) continue;
+      if (slot.start > time && this.fallback) {
+        slots.push(...this.fallback.getPrices(new Date(time), new Date(slot.start)));
+      }
+      slots.push({ start: slot.start, end: slot.end, rate: slot.rate, band: null });
+      time = slot.end;
+    }
+    if (time < to.getTime() && this.fallback) {
+      slots.push(...this.fallback.getPrices(new Date(time), to));
+    }
+
+    return slots;
+  }
+
+  /**
+   * Import prices from `data` in 'csv' or 'json' format. New slots replace
+   * any stored slots they overlap. Returns { count, from, to }.
+   *
+   * CSV: one slot per line as `start,price` or `start,end,price`, with ',',
+   * ';' or tab as separator and an optional header line. With ';' or tab a
+   * decimal comma is accepted in the price.
+   *
+   * JSON: an array (or { prices: [...] }) of objects with `start` and
+   * `price` (or `rate`) and an optional `end`.
+   */
+  import(data, format = 'json') {
+    const rows = format === 'csv' ? this.parseCsv(String(data)) : this.parseJson(data);
+    if (rows.length === 0) {
+      throw new Error('No prices found in the import');
+    }
+
+    const slots = this.toSlots(rows);
+    const from = slots[0].start;
+    const to = slots[slots.length - 1].end;
+    const cutoff = Date.now() - KEEP_HISTORY;
+
+    const kept = this.getSlots().filter(slot => slot.end > cutoff && (slot.end <= from || slot.start >= to));
+    this.homey.settings.set(SETTINGS_KEY, [...kept, ...slots].sort((a, b) => a.start - b.start));
+
+    return { count: slots.length, from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+  }
+
+  clear() {
+    this.homey.settings.set(SETTINGS_KEY, []);
+  }
+
+  parseCsv(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const separator = [';', '\t', ','].find(candidate => lines[0] && lines[0].includes(candidate)) || ',';
+    const rows = [];
+
+    lines.forEach((line, index) => {
+      const fields = line.split(separator).map(field => field.trim().replace(/^"|"$/g, ''));
+
+      // Skip a header line
+      if (index === 0 && Number.isNaN(parseTime(fields[0], this.getTimezone()))) return;
+
+      if (fields.length < 2) {
+        throw new Error(`Line ${index + 1}: expected a start time and a price`);
+      }
+      const price = fields[fields.length - 1];
+      rows.push({
+        start: fields[0],
+        end: fields.length > 2 ? fields[1] : undefined,
+        price: separator === ',' ? price : price.replace(',', '.'),
+        line: index + 1
+      });
+    });
+
+    return rows;
+  }
+
+  parseJson(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const entries = Array.isArray(parsed) ? parsed : (parsed && parsed.prices);
+    if (!Array.isArray(entries)) {
+      throw new Error('Expected an array of prices or an object with a prices array');
+    }
+
+    return entries.map((entry, index) => ({
+      start: entry.start,
+      end: entry.end,
+      price: entry.price !== undefined ? entry.price : entry.rate,
+      line: index + 1
+    }));
+  }
+
+  /**
+   * Validate parsed rows and turn them into sorted slots. Rows without an
+   * end run until the next row, or for the file's shortest gap between rows
+   * (the slot length, e.g. 15 minutes) when that is shorter.
+   */
+  toSlots(rows) {
+    const timezone = this.getTimezone();
+    const slots = rows.map(row => {
+      const start = parseTime(row.start, timezone);
+      const end = row.end !== undefined && row.end !== '' ? parseTime(row.end, timezone) : null;
+      const rate = Number(row.price);
+
+      if (Number.isNaN(start)) throw new Error(`Row ${row.line}: invalid start time "${row.start}"`);
+      if (Number.isNaN(end)) throw new Error(`Row ${row.line}: invalid end time "${row.end}"`);
+      if (row.price === undefined || row.price === '' || !Number.isFinite(rate)) {
+        throw new Error(`Row ${row.line}: invalid price "${row.price}"`);
+      }
+      if (end !== null && end <= start) throw new Error(`Row ${row.line}: end is not after start`);
+
+      return { start, end, rate };
+    }).sort((a, b) => a.start - b.start);
+
+    let slotLength = DEFAULT_SLOT;
+    for (let i = 1; i < slots.length; i++) {
+      const gap = slots[i].start - slots[i - 1].start;
+      if (gap > 0) slotLength = Math.min(slotLength, gap);
+    }
+
+    slots.forEach((slot, index) => {
+      if (slot.end !== null) return;
+      const next = slots[index + 1];
+      slot.end = next && next.start > slot.start ? Math.min(next.start, slot.start + slotLength) : slot.start + slotLength;
+    });
+
+    return slots;
+  }
+
+}
+
+module.exports = ImportedPriceProvider;
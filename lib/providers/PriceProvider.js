@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Base class for price sources. A provider supplies the energy rate (per
+ * kWh, before fees and VAT) at any moment; the app asks the active provider
+ * for every rate it bills, shows or triggers on.
+ *
+ * Subclasses implement getPriceAt(). Providers with fixed slots (hourly or
+ * 15-minute prices) should also override getPrices() to return them as-is.
+ */
+class PriceProvider {
+
+  /**
+   * @param {string} id Stable id, stored in the 'priceProvider' setting
+   * @param {string} name Name shown in the settings page
+   */
+  constructor(id, name) {
+    this.id = id;
+    this.name = name;
+  }
+
+  /**
+   * Price in force at `date` as { rate, band }, where `band` is the tariff
+   * band id when the provider knows it, or null when it has no price.
+   */
+  getPriceAt(date) {
+    throw new Error(`Price provider ${this.id} does not implement getPriceAt()`);
+  }
+
+  /**
+   * Prices between `from` and `to` as a list of { start, end, rate, band }
+   * slots (timestamps in ms). The default walks minute by minute and merges
+   * minutes with the same price into one slot.
+   */
+  getPrices(from, to) {
+    const slots = [];
+    let slot = null;
+
+    for (let time = from.getTime(); time < to.getTime(); time += 60000) {
+      const price = this.getPriceAt(new Date(time));
+      if (!price) {
+        slot = null;
+        continue;
+      }
+
+      if (slot && slot.rate === price.rate && slot.band === price.band) {
+        slot.end = time + 60000;
+      } else {
+        slot = { start: time, end: time + 60000, rate: price.rate, band: price.band };
+        slots.push(slot);
+      }
+    }
+
+    return slots;
+  }
+
+}
+
+module.exports = PriceProvider;
@@ -0,0 +1,48 @@
+'use strict';
+
+const PriceProvider = require('./PriceProvider');
+const TariffEngine = require('../TariffEngine');
+
+/**
+ * Rates from the seasonal band schedules in the app settings.
+ */
+class StaticScheduleProvider extends PriceProvider {
+
+  constructor({ app }) {
+    super('static', 'Static schedule');
+    this.app = app;
+  }
+
+  getPriceAt(date) {
+    const band = this.app.getBandAtDate(date);
+    return band ? { rate: band.rate, band: band.id } : null;
+  }
+
+  /**
+   * One slot per band span, from the tariff engine's transitions rather
+   * than minute by minute.
+   */
+  getPrices(from, to) {
+    const changes = TariffEngine.getTransitions(from.getTime(), to.getTime(), this.app.getTimezone(), this.app.getTariffConfig());
+    const starts = [from.getTime(), ...changes.map(change => change.timestamp)];
+    const slots = [];
+
+    starts.forEach((start, index) => {
+      const price = this.getPriceAt(new Date(start));
+      if (!price) return;
+
+      const end = index + 1 < starts.length ? starts[index + 1] : to.getTime();
+      const last = slots[slots.length - 1];
+      if (last && last.end === start && last.rate === price.rate && last.band === price.band) {
+        last.end = end;
+      } else {
+        slots.push({ start, end, rate: price.rate, band: price.band });
+      }
+    });
+
+    return slots;
+  }
+
+}
+
+module.exports = StaticScheduleProvider;
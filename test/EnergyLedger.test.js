@@ -0,0 +1,216 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const EnergyLedger = require('../lib/EnergyLedger');
+const TariffEngine = require('../lib/TariffEngine');
+
+const TIMEZONE = 'Europe/Sofia';
+const HOUR = 3600000;
+
+/**
+ * In-memory stand-in for Homey's settings, recording the keys written.
+ */
+function createSettings(values = {}) {
+  const store = new Map(Object.entries(values));
+  return {
+    store,
+    written: [],
+    get: key => (store.has(key) ? store.get(key) : null),
+    set(key, value) {
+      this.written.push(key);
+      store.set(key, JSON.parse(JSON.stringify(value)));
+    },
+    unset: key => store.delete(key),
+    getKeys: () => [...store.keys()]
+  };
+}
+
+function createLedger(settings, key = 'energyLedger') {
+  return new EnergyLedger({ homey: { settings }, getTimezone: () => TIMEZONE, key });
+}
+
+function sample(timestamp, devices = {}) {
+  return {
+    timestamp,
+    power: 1000,
+    costPerHour: 0.25,
+    kwh: 1,
+    cost: 0.25,
+    band: 'day',
+    devices
+  };
+}
+
+function bucket(kwh, cost) {
+  return { kwh, cost, bands: { day: { kwh, cost } } };
+}
+
+const start = TariffEngine.getLocalTimestamp(2026, 3, 10, 12, 0, TIMEZONE);
+
+describe('EnergyLedger load', () => {
+  it('migrates a ledger stored whole into parts', () => {
+    const settings = createSettings({
+      energyLedger: {
+        minutes: [{ t: start, power: 1000, kwh: 1, cost: 0.25 }],
+        hours: { '2026-03-09T23': bucket(1, 0.2), '2026-03-10T12': bucket(2, 0.5) },
+        days: { '2026-03-09': bucket(1, 0.2), '2026-03-10': bucket(2, 0.5) },
+        devices: {
+          heater: { name: 'Heater', days: { '2026-03-10': bucket(2, 0.5) }, months: { '2026-03': bucket(2, 0.5) } }
+        }
+      }
+    });
+
+    const ledger = createLedger(settings);
+    ledger.load();
+
+    assert.equal(settings.get('energyLedger'), null);
+    assert.deepEqual(settings.getKeys().sort(), [
+      'energyLedger.days',
+      'energyLedger.devices',
+      'energyLedger.devices.2026-03-10',
+      'energyLedger.hours.2026-03-09',
+      'energyLedger.hours.2026-03-10',
+      'energyLedger.minutes'
+    ]);
+    assert.deepEqual(settings.get('energyLedger.devices'), {
+      heater: { name: 'Heater', months: { '2026-03': bucket(2, 0.5) } }
+    });
+    assert.deepEqual(settings.get('energyLedger.devices.2026-03-10'), { heater: bucket(2, 0.5) });
+
+    const restored = createLedger(settings);
+    restored.load();
+    assert.deepEqual(restored.minutes, ledger.minutes);
+    assert.deepEqual(restored.hours, ledger.hours);
+    assert.deepEqual(restored.days, ledger.days);
+    assert.deepEqual(restored.devices, ledger.devices);
+  });
+
+  it('only reads the parts under its own key', () => {
+    const settings = createSettings({
+      'energyLedger.days': { '2026-03-10': bucket(2, 0.5) },
+      'energyLedger.meter-2.days': { '2026-03-10': bucket(5, 1) }
+    });
+
+    const ledger = createLedger(settings);
+    ledger.load();
+
+    assert.deepEqual(ledger.days, { '2026-03-10': bucket(2, 0.5) });
+  });
+});
+
+describe('EnergyLedger save', () => {
+  it('writes only the parts a sample changed', () => {
+    const settings = createSettings();
+    const ledger = createLedger(settings);
+    ledger.record(sample(start - 24 * HOUR, { heater: { name: 'Heater', bands: { day: { kwh: 1, cost: 0.25 } } } }));
+
+    const restored = createLedger(settings);
+    restored.load();
+    settings.written = [];
+    restored.record(sample(start));
+
+    assert.deepEqual(settings.written.sort(), [
+      'energyLedger.days',
+      'energyLedger.hours.2026-03-10',
+      'energyLedger.minutes'
+    ]);
+  });
+
+  it('rewrites the device parts when a device used energy', () => {
+    const settings = createSettings();
+    const ledger = createLedger(settings);
+    ledger.record(sample(start - 24 * HOUR));
+
+    settings.written = [];
+    ledger.lastSave = 0;
+    ledger.record(sample(start, { heater: { name: 'Heater', bands: { day: { kwh: 1, cost: 0.25 } } } }));
+
+    assert.deepEqual(settings.written.sort(), [
+      'energyLedger.days',
+      'energyLedger.devices',
+      'energyLedger.devices.2026-03-10',
+      'energyLedger.hours.2026-03-10',
+      'energyLedger.minutes'
+    ]);
+  });
+
+  it('keeps samples in memory until the save interval has passed', () => {
+    const settings = createSettings();
+    const ledger = createLedger(settings);
+    ledger.record(sample(start));
+
+    settings.written = [];
+    ledger.record(sample(start + 60000));
+    assert.deepEqual(settings.written, []);
+
+    ledger.flush();
+    assert.deepEqual(settings.written.sort(), [
+      'energyLedger.days',
+      'energyLedger.hours.2026-03-10',
+      'energyLedger.minutes'
+    ]);
+  });
+
+  it('removes every part of a ledger', () => {
+    const settings = createSettings({ 'energyLedger.days': {}, 'energyLedger.meter-2.days': {}, other: 1 });
+
+    EnergyLedger.remove({ settings }, 'energyLedger.meter-2');
+
+    assert.deepEqual(settings.getKeys().sort(), ['energyLedger.days', 'other']);
+  });
+});
+
+describe('EnergyLedger prune', () => {
+  it('keeps the latest minute samples', () => {
+    const ledger = createLedger(createSettings());
+    for (let minute = 0; minute < 400; minute++) {
+      ledger.minutes.push({ t: start + minute * 60000 });
+    }
+
+    ledger.prune();
+
+    assert.equal(ledger.minutes.length, 360);
+    assert.equal(ledger.minutes[0].t, start + 40 * 60000);
+  });
+
+  it('unsets the stored day of hourly buckets pruned entirely', () => {
+    const settings = createSettings();
+    const ledger = createLedger(settings);
+    const first = TariffEngine.getLocalTimestamp(2026, 1, 1, 0, 0, TIMEZONE);
+    for (let hour = 0; hour < 24 * 62; hour++) {
+      ledger.hours[EnergyLedger.hourKey(new Date(first + hour * HOUR), TIMEZONE)] = bucket(1, 0.2);
+    }
+    ledger.save();
+    assert.notEqual(settings.get('energyLedger.hours.2026-01-01'), null);
+
+    // One more day of hours pushes the first day out
+    for (let hour = 0; hour < 24; hour++) {
+      ledger.hours[EnergyLedger.hourKey(new Date(first + (24 * 62 + hour) * HOUR), TIMEZONE)] = bucket(1, 0.2);
+    }
+    ledger.prune();
+    ledger.save();
+
+    assert.equal(Object.keys(ledger.hours).length, 24 * 62);
+    assert.equal(settings.get('energyLedger.hours.2026-01-01'), null);
+    assert.notEqual(settings.get('energyLedger.hours.2026-01-02'), null);
+  });
+
+  it('rewrites the parts that lost some of their buckets', () => {
+    const settings = createSettings();
+    const ledger = createLedger(settings);
+    for (let day = 0; day < 401; day++) {
+      ledger.days[EnergyLedger.dayKey(new Date(start + day * 24 * HOUR), TIMEZONE)] = bucket(1, 0.2);
+    }
+    ledger.save();
+
+    settings.written = [];
+    ledger.prune();
+    ledger.save();
+
+    assert.equal(Object.keys(ledger.days).length, 400);
+    assert.deepEqual(settings.written, ['energyLedger.days']);
+    assert.equal(Object.keys(settings.get('energyLedger.days')).length, 400);
+  });
+});
@@ -0,0 +1,206 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SettingsSchema = require('../lib/SettingsSchema');
+
+/**
+ * Stand-in for the app as the migrations use it: Homey's settings plus the
+ * normalizers, which record what they were asked to convert.
+ */
+function createApp(values = {}) {
+  const store = new Map(Object.entries(values));
+  const app = {
+    normalized: [],
+    logs: [],
+    homey: {
+      settings: {
+        get: key => (store.has(key) ? store.get(key) : null),
+        set: (key, value) => store.set(key, value)
+      }
+    },
+    log: message => app.logs.push(message),
+    normalizeSeasons(seasons) {
+      app.normalized.push('seasons');
+      return seasons.map(season => ({ ...season, bands: season.bands || [{ id: 'day' }, { id: 'night' }] }));
+    },
+    normalizeCharges(charges) {
+      app.normalized.push('charges');
+      return { networkFee: 0, excise: 0, standingCharge: 0, vat: 0, ...charges };
+    }
+  };
+  return app;
+}
+
+function band(id, windows, rate = 0.2) {
+  return { id, name: id[0].toUpperCase() + id.slice(1), rate, windows };
+}
+
+function season(fields = {}) {
+  return {
+    name: 'All year',
+    startMonth: 1,
+    startDay: 1,
+    endMonth: 12,
+    endDay: 31,
+    bands: [band('day', [{ start: '06:00', end: '22:00' }]), band('night', [{ start: '22:00', end: '06:00' }], 0.1)],
+    ...fields
+  };
+}
+
+function fields(errors) {
+  return errors.map(error => error.field);
+}
+
+describe('SettingsSchema migrate', () => {
+  it('starts a fresh install at the current version', () => {
+    const app = createApp();
+
+    SettingsSchema.migrate(app);
+
+    assert.equal(app.homey.settings.get(SettingsSchema.VERSION_KEY), SettingsSchema.SCHEMA_VERSION);
+    assert.deepEqual(app.normalized, []);
+  });
+
+  it('runs every migration on settings from before versioning', () => {
+    const app = createApp({
+      seasons: [{ name: 'All year', dayStart: '07:00', dayEnd: '23:00' }],
+      charges: { vat: 20 }
+    });
+
+    SettingsSchema.migrate(app);
+
+    assert.equal(app.homey.settings.get(SettingsSchema.VERSION_KEY), SettingsSchema.SCHEMA_VERSION);
+    assert.deepEqual(app.normalized, ['seasons', 'seasons', 'charges']);
+    assert.deepEqual(app.homey.settings.get('charges'), { networkFee: 0, excise: 0, standingCharge: 0, vat: 20 });
+    assert.equal(app.logs.length, SettingsSchema.MIGRATIONS.length);
+  });
+
+  it('only runs the migrations newer than the stored version', () => {
+    const app = createApp({ seasons: [season()], charges: { vat: 20 }, [SettingsSchema.VERSION_KEY]: 2 });
+
+    SettingsSchema.migrate(app);
+
+    assert.deepEqual(app.normalized, ['charges']);
+    assert.equal(app.homey.settings.get(SettingsSchema.VERSION_KEY), 3);
+  });
+
+  it('leaves charges unset when none were saved', () => {
+    const app = createApp({ seasons: [season()], [SettingsSchema.VERSION_KEY]: 2 });
+
+    SettingsSchema.migrate(app);
+
+    assert.equal(app.homey.settings.get('charges'), null);
+  });
+
+  it('leaves settings from a newer release alone', () => {
+    const app = createApp({ seasons: [season()], [SettingsSchema.VERSION_KEY]: SettingsSchema.SCHEMA_VERSION + 1 });
+
+    SettingsSchema.migrate(app);
+
+    assert.deepEqual(app.normalized, []);
+    assert.equal(app.homey.settings.get(SettingsSchema.VERSION_KEY), SettingsSchema.SCHEMA_VERSION + 1);
+  });
+});
+
+describe('SettingsSchema validate', () => {
+  it('accepts a valid update and parses numbers', () => {
+    const { values, errors } = SettingsSchema.validate({
+      billingStartDay: '15',
+      charges: { networkFee: '0.03', vat: 20 },
+      seasons: [season()],
+      effectiveFrom: '2026-05-01'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(values.billingStartDay, 15);
+    assert.deepEqual(values.charges, { networkFee: 0.03, excise: 0, standingCharge: 0, vat: 20 });
+    assert.equal(values.seasons[0].bands[1].exportRate, 0);
+    assert.equal(values.effectiveFrom, '2026-05-01');
+  });
+
+  it('rejects anything but an object', () => {
+    for (const body of [null, [], 'seasons']) {
+      assert.deepEqual(fields(SettingsSchema.validate(body).errors), ['']);
+    }
+  });
+
+  it('reports fields by their path in the request', () => {
+    const invalid = season();
+    invalid.bands[1].rate = 'cheap';
+    invalid.bands[0].windows[0].end = '25:00';
+
+    const { errors } = SettingsSchema.validate({
+      billingStartDay: 31,
+      charges: { vat: 120 },
+      seasons: [invalid],
+      effectiveFrom: '2026-02-30'
+    });
+
+    assert.deepEqual(fields(errors), [
+      'billingStartDay',
+      'charges.vat',
+      'seasons[0].bands[0].windows[0].end',
+      'seasons[0].bands[1].rate',
+      'effectiveFrom'
+    ]);
+  });
+
+  it('does not take an empty string for zero', () => {
+    const { errors } = SettingsSchema.validate({ dayRate: '' });
+
+    assert.deepEqual(errors, [{ field: 'dayRate', message: 'Must be a number' }]);
+  });
+
+  it('reports bands of a season that overlap', () => {
+    const { errors } = SettingsSchema.validate({
+      seasons: [season({ bands: [band('day', [{ start: '06:00', end: '22:00' }]), band('peak', [{ start: '18:00', end: '20:00' }])] })]
+    });
+
+    assert.deepEqual(errors, [{ field: 'seasons[0].bands[1].windows', message: 'Overlaps with "Day" at 18:00' }]);
+  });
+
+  it('reports two bands with the same name', () => {
+    const { errors } = SettingsSchema.validate({
+      seasons: [season({ bands: [{ name: 'Day', rate: 0.2 }, { name: 'day', rate: 0.1 }] })]
+    });
+
+    assert.deepEqual(fields(errors), ['seasons[0].bands[1].name']);
+  });
+
+  it('reports days no season covers and seasons that overlap', () => {
+    const { errors } = SettingsSchema.validate({
+      seasons: [
+        season({ name: 'Winter', startMonth: 11, startDay: 1, endMonth: 3, endDay: 31 }),
+        season({ name: 'Summer', startMonth: 3, startDay: 15, endMonth: 9, endDay: 30 })
+      ]
+    });
+
+    assert.deepEqual(errors, [
+      { field: 'seasons[1]', message: 'Overlaps with "Winter" from 15 Mar' },
+      { field: 'seasons', message: 'No season covers 1 Oct - 31 Oct' }
+    ]);
+  });
+
+  it('checks day schedules against the season\'s bands', () => {
+    const { errors } = SettingsSchema.validate({
+      seasons: [season({
+        schedules: {
+          sunday: { default: 'night', windows: [{ band: 'peak', start: '10:00', end: '12:00' }] },
+          monday: { default: 'day', windows: [] }
+        }
+      })]
+    });
+
+    assert.deepEqual(fields(errors), [
+      'seasons[0].schedules.sunday.windows[0].band',
+      'seasons[0].schedules.monday'
+    ]);
+  });
+
+  it('accepts only the known price providers', () => {
+    assert.deepEqual(SettingsSchema.validate({ priceProvider: 'import' }, { priceProviders: ['static', 'import'] }).errors, []);
+    assert.deepEqual(fields(SettingsSchema.validate({ priceProvider: 'other' }, { priceProviders: ['static', 'import'] }).errors), ['priceProvider']);
+  });
+});
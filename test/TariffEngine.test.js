@@ -0,0 +1,182 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TariffEngine = require('../lib/TariffEngine');
+const TariffPresets = require('../lib/TariffPresets');
+
+const TIMEZONE = 'Europe/Sofia';
+const HOUR = 3600000;
+
+function presetConfig(id) {
+  const { seasons, holidays } = TariffPresets.get(id);
+  return { seasons, holidays };
+}
+
+function describeSegments(segments) {
+  return segments.map(segment => [segment.band, (segment.end - segment.start) / HOUR]);
+}
+
+describe('isDateInSeason', () => {
+  const winter = { startMonth: 11, startDay: 1, endMonth: 3, endDay: 31 };
+  const summer = { startMonth: 4, startDay: 1, endMonth: 10, endDay: 31 };
+
+  it('wraps a season past New Year', () => {
+    assert.equal(TariffEngine.isDateInSeason(12, 31, winter), true);
+    assert.equal(TariffEngine.isDateInSeason(1, 1, winter), true);
+    assert.equal(TariffEngine.isDateInSeason(11, 1, winter), true);
+    assert.equal(TariffEngine.isDateInSeason(3, 31, winter), true);
+    assert.equal(TariffEngine.isDateInSeason(4, 1, winter), false);
+    assert.equal(TariffEngine.isDateInSeason(10, 31, winter), false);
+  });
+
+  it('keeps a season within the year', () => {
+    assert.equal(TariffEngine.isDateInSeason(4, 1, summer), true);
+    assert.equal(TariffEngine.isDateInSeason(10, 31, summer), true);
+    assert.equal(TariffEngine.isDateInSeason(1, 1, summer), false);
+    assert.equal(TariffEngine.isDateInSeason(11, 1, summer), false);
+  });
+
+  it('wraps a season starting later in its own month', () => {
+    const season = { startMonth: 3, startDay: 20, endMonth: 3, endDay: 10 };
+    assert.equal(TariffEngine.isDateInSeason(3, 25, season), true);
+    assert.equal(TariffEngine.isDateInSeason(3, 5, season), true);
+    assert.equal(TariffEngine.isDateInSeason(3, 15, season), false);
+  });
+});
+
+describe('isMinuteInWindow', () => {
+  const night = { start: '22:00', end: '06:00' };
+
+  it('wraps a window past midnight', () => {
+    assert.equal(TariffEngine.isMinuteInWindow(22 * 60, night), true);
+    assert.equal(TariffEngine.isMinuteInWindow(23 * 60 + 59, night), true);
+    assert.equal(TariffEngine.isMinuteInWindow(0, night), true);
+    assert.equal(TariffEngine.isMinuteInWindow(5 * 60 + 59, night), true);
+    assert.equal(TariffEngine.isMinuteInWindow(6 * 60, night), false);
+    assert.equal(TariffEngine.isMinuteInWindow(21 * 60 + 59, night), false);
+  });
+
+  it('ends a window before its end time', () => {
+    const day = { start: '06:00', end: '22:00' };
+    assert.equal(TariffEngine.isMinuteInWindow(6 * 60, day), true);
+    assert.equal(TariffEngine.isMinuteInWindow(22 * 60, day), false);
+  });
+
+  it('treats equal start and end as the whole day', () => {
+    const allDay = { start: '00:00', end: '00:00' };
+    assert.equal(TariffEngine.isMinuteInWindow(0, allDay), true);
+    assert.equal(TariffEngine.isMinuteInWindow(12 * 60, allDay), true);
+  });
+});
+
+describe('getLocalTimestamp', () => {
+  it('resolves an ordinary time', () => {
+    const timestamp = TariffEngine.getLocalTimestamp(2026, 7, 1, 12, 0, TIMEZONE);
+    assert.equal(timestamp, Date.UTC(2026, 6, 1, 9, 0));
+  });
+
+  it('moves a time skipped by DST past the gap', () => {
+    // 2026-03-29: clocks go from 03:00 to 04:00
+    const timestamp = TariffEngine.getLocalTimestamp(2026, 3, 29, 3, 30, TIMEZONE);
+    assert.equal(timestamp, Date.UTC(2026, 2, 29, 1, 30));
+    assert.equal(TariffEngine.formatTime(timestamp, TIMEZONE), '04:30');
+  });
+
+  it('takes the first occurrence of a time repeated by DST', () => {
+    // 2026-10-25: clocks go from 04:00 back to 03:00
+    const timestamp = TariffEngine.getLocalTimestamp(2026, 10, 25, 3, 30, TIMEZONE);
+    assert.equal(timestamp, Date.UTC(2026, 9, 25, 0, 30));
+    assert.equal(TariffEngine.formatTime(timestamp + HOUR, TIMEZONE), '03:30');
+  });
+});
+
+describe('getDaySegments', () => {
+  const config = presetConfig('bg-energo-pro');
+
+  it('covers an ordinary day in 24 hours', () => {
+    const segments = TariffEngine.getDaySegments(Date.UTC(2026, 6, 1, 12), TIMEZONE, config);
+    assert.deepEqual(describeSegments(segments), [['night', 7], ['day', 16], ['night', 1]]);
+  });
+
+  it('covers the day clocks go forward in 23 hours', () => {
+    const segments = TariffEngine.getDaySegments(Date.UTC(2026, 2, 29, 12), TIMEZONE, config);
+    assert.deepEqual(describeSegments(segments), [['night', 5], ['day', 16], ['night', 2]]);
+    assert.equal(segments[0].start, Date.UTC(2026, 2, 28, 22));
+    assert.equal(segments[segments.length - 1].end, Date.UTC(2026, 2, 29, 21));
+  });
+
+  it('covers the day clocks go back in 25 hours', () => {
+    const segments = TariffEngine.getDaySegments(Date.UTC(2026, 9, 25, 12), TIMEZONE, config);
+    assert.deepEqual(describeSegments(segments), [['night', 8], ['day', 16], ['night', 1]]);
+    assert.equal(segments[0].start, Date.UTC(2026, 9, 24, 21));
+    assert.equal(segments[segments.length - 1].end, Date.UTC(2026, 9, 25, 22));
+  });
+
+  it('bills a window in the repeated hour twice', () => {
+    const segments = TariffEngine.getDaySegments(Date.UTC(2026, 9, 25, 12), TIMEZONE, {
+      seasons: [{
+        name: 'All year',
+        startMonth: 1,
+        startDay: 1,
+        endMonth: 12,
+        endDay: 31,
+        bands: [
+          { id: 'peak', name: 'Peak', rate: 0.3, windows: [{ start: '03:15', end: '03:45' }] },
+          { id: 'offpeak', name: 'Off-peak', rate: 0.1, windows: [] }
+        ]
+      }]
+    });
+    assert.deepEqual(describeSegments(segments), [
+      ['offpeak', 3.25], ['peak', 0.5], ['offpeak', 0.5], ['peak', 0.5], ['offpeak', 20.25]
+    ]);
+  });
+
+  it('switches seasons at local midnight', () => {
+    const transitions = TariffEngine.getTransitions(
+      Date.UTC(2026, 9, 31, 12), Date.UTC(2026, 10, 1, 12), TIMEZONE, config
+    );
+    assert.deepEqual(transitions.map(({ timestamp, band, season }) => [timestamp, band, season]), [
+      [Date.UTC(2026, 9, 31, 21), 'night', 'Summer'],
+      [Date.UTC(2026, 9, 31, 22), 'night', 'Winter'],
+      [Date.UTC(2026, 10, 1, 4), 'day', 'Winter']
+    ]);
+  });
+});
+
+describe('getTariff', () => {
+  it('finds the next change', () => {
+    const tariff = TariffEngine.getTariff(Date.UTC(2026, 6, 1, 12), TIMEZONE, presetConfig('bg-energo-pro'));
+    assert.equal(tariff.band, 'day');
+    assert.equal(tariff.season, 'Summer');
+    assert.equal(tariff.nextChange.timestamp, Date.UTC(2026, 6, 1, 20));
+    assert.equal(tariff.nextChange.band, 'night');
+  });
+
+  it('has no next change on a single rate', () => {
+    const tariff = TariffEngine.getTariff(Date.UTC(2026, 6, 1, 12), TIMEZONE, presetConfig('single-rate'));
+    assert.equal(tariff.band, 'standard');
+    assert.equal(tariff.nextChange, null);
+  });
+
+  it('follows the versions of a configuration function', () => {
+    const switchAt = Date.UTC(2026, 6, 1, 13, 30);
+    const config = timestamp => (timestamp < switchAt ? presetConfig('single-rate') : presetConfig('two-rate'));
+    config.changes = [0, switchAt];
+
+    const tariff = TariffEngine.getTariff(Date.UTC(2026, 6, 1, 12), TIMEZONE, config);
+    assert.equal(tariff.nextChange.timestamp, switchAt);
+    assert.equal(tariff.nextChange.band, 'day');
+  });
+
+  it('follows dynamic rates at the moments they change', () => {
+    const slot = { start: Date.UTC(2026, 6, 1, 14), end: Date.UTC(2026, 6, 1, 15), rate: 0.5 };
+    const tariff = TariffEngine.getTariff(Date.UTC(2026, 6, 1, 12), TIMEZONE, presetConfig('single-rate'), {
+      rateAt: (timestamp, state) => (timestamp >= slot.start && timestamp < slot.end ? slot.rate : state.rate),
+      rateChanges: () => [slot.start, slot.end]
+    });
+    assert.equal(tariff.nextChange.timestamp, slot.start);
+    assert.equal(tariff.nextChange.rate, 0.5);
+  });
+});
@@ -1,7 +1,8 @@
 'use strict';
 
 module.exports = {
-  async getChartData({ homey }) {
-    return homey.app.getChartData();
+  // GET /?range=today|24h|week|billing&view=power|bars|consumers
+  async getChartData({ homey, query }) {
+    return homey.app.getChartData({ range: query.range, view: query.view });
   },
 };